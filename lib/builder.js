@@ -54,6 +54,16 @@
          */
         this.relations = [];
 
+        /**
+         * Pseudo-pattern variants of this node
+         *
+         * @name variants
+         * @memberOf Builder.CrNode
+         *
+         * @type {Builder.Variant[]}
+         */
+        this.variants = [];
+
         /**
          * Additional information for this node
          *
@@ -97,6 +107,110 @@
         this.relations.push(include);
     };
 
+    /**
+     * Add a pseudo-pattern variant to the node.
+     *
+     * @throws {TypeError} Throws an {@link TypeError} if the given variant is not an instance of {@link Builder.Variant}.
+     *
+     * @function addVariant
+     * @memberOf Builder.CrNode
+     *
+     * @param {Builder.Variant} variant
+     */
+    CrNode.prototype.addVariant = function(variant) {
+        if(!(variant instanceof Variant)) {
+            throw new TypeError('Variants must be instances of Variant.');
+        }
+
+        this.variants.push(variant);
+    };
+
+    /**
+     * Get a variant of the node by its name.
+     * If the node has no such variant return null instead.
+     *
+     * @function getVariant
+     * @memberOf Builder.CrNode
+     *
+     * @param {string} name
+     *
+     * @returns {Builder.Variant}
+     */
+    CrNode.prototype.getVariant = function(name) {
+        for(var i = 0; i < this.variants.length; i++) {
+            if(this.variants[i].name === name) {
+                return this.variants[i];
+            }
+        }
+
+        return null;
+    };
+
+    /**
+     * Remove everything found by a previous parse so the template can be parsed again.
+     *
+     * @function reset
+     * @memberOf Builder.CrNode
+     */
+    CrNode.prototype.reset = function() {
+        this.fields = [];
+        this.relations = [];
+        this.variants = [];
+        this.info = null;
+    };
+
+    /**
+     * Remove all relations to the given node id including the relations of nested fields.
+     *
+     * @function removeRelationsTo
+     * @memberOf Builder.CrNode
+     *
+     * @param {string} id
+     */
+    CrNode.prototype.removeRelationsTo = function(id) {
+        var filterRelations = function(container) {
+            container.relations = container.relations.filter(function(include) {
+                return include.name !== id;
+            });
+            container.fields.forEach(filterRelations);
+        };
+
+        filterRelations(this);
+    };
+
+    /**
+     * Patternlab pseudo-pattern variant of a node.
+     * Pseudo-patterns are defined by data files like `00-teaser~featured.json` next to the template.
+     *
+     * @memberOf Builder
+     * @namespace Builder.Variant
+     * @constructor
+     * @param {string} name
+     * @param {{}} data
+     */
+    function Variant(name, data) {
+
+        /**
+         * Name of the variant, the part after the `~`.
+         *
+         * @name name
+         * @memberOf Builder.Variant
+         *
+         * @type {string}
+         */
+        this.name = name;
+
+        /**
+         * Data overrides of the variant.
+         *
+         * @name data
+         * @memberOf Builder.Variant
+         *
+         * @type {{}}
+         */
+        this.data = data;
+    }
+
 
     /**
      * NodeStorage class for structures.
@@ -132,6 +246,23 @@
         this.storage[node.id] = node;
     };
 
+    /**
+     * Remove a node from the storage together with all relations to it.
+     *
+     * @function removeNode
+     * @memberOf Builder.NodeStorage
+     *
+     * @param {string} id
+     */
+    NodeStorage.prototype.removeNode = function(id) {
+        var $this = this;
+
+        delete $this.storage[id];
+        Object.keys($this.storage).forEach(function(nodeId) {
+            $this.storage[nodeId].removeRelationsTo(id);
+        });
+    };
+
     /**
      * Return true if the given node id is already known to the storage.
      *
@@ -206,9 +337,10 @@
         node.addRelation(relationInclude);
     };
 
-    // Propagate NodeStorage and CrNode class
+    // Propagate NodeStorage, CrNode and Variant class
     module.exports = {
         NodeStorage     : NodeStorage,
-        CrNode          : CrNode
+        CrNode          : CrNode,
+        Variant         : Variant
     };
 })(module);
\ No newline at end of file
@@ -0,0 +1,661 @@
+/**
+ * @module patternlab2domain
+ * @author Moritz Spindelhirn [m.spindelhirn@cashiers-check.de]
+ * @namespace Cli
+ */
+(function(module) {
+    'use strict';
+
+    var optimist = require('optimist'),
+        extend = require('extend'),
+        fs = require('fs'),
+        path = require('path'),
+        Conductor = require('./conductor').Conductor,
+        exporters = require('./exporters'),
+        createModel = require('./model').createModel,
+        diff = require('./diff'),
+        DataValidator = require('./validator').DataValidator,
+        parsers = require('./parsers');
+
+    /**
+     * Exit codes of the command line interface.
+     *
+     * @memberOf Cli
+     * @namespace Cli.exitCodes
+     *
+     * @type {{}}
+     */
+    var exitCodes = {
+
+        /**
+         * Model written without errors
+         *
+         * @memberOf Cli.exitCodes
+         * @type {Number}
+         */
+        SUCCESS     : 0,
+
+        /**
+         * Parsing or writing failed or errors were reported as diagnostics
+         *
+         * @memberOf Cli.exitCodes
+         * @type {Number}
+         */
+        FAILURE     : 1,
+
+        /**
+         * Invalid command line options or config file
+         *
+         * @memberOf Cli.exitCodes
+         * @type {Number}
+         */
+        USAGE       : 2,
+
+        /**
+         * Breaking changes found by the `diff` command
+         *
+         * @memberOf Cli.exitCodes
+         * @type {Number}
+         */
+        BREAKING    : 3
+    };
+
+    /**
+     * Name of the config file looked up in the working directory if no `--config` is given.
+     *
+     * @memberOf Cli
+     *
+     * @type {string}
+     */
+    var defaultConfigFile = 'patternlab2domain.json';
+
+    /**
+     * Commands given as first argument, without a command the model is written.
+     *
+     * @memberOf Cli
+     *
+     * @type {string[]}
+     */
+    var commands = ['diff', 'validate'];
+
+    /**
+     * Description of all command line options.
+     * Options with `path: true` are resolved relative to the config file if they are given there.
+     *
+     * @memberOf Cli
+     *
+     * @type {{}}
+     */
+    var cliOptions = {
+        tplBaseDir: {
+            describe: 'Directory with the start templates, e.g. source/_patterns/04-pages',
+            string: true,
+            path: true
+        },
+        tplFile: {
+            describe: 'Single start template, used if no --tplBaseDir is given',
+            string: true,
+            path: true
+        },
+        patternDir: {
+            describe: 'The _patterns directory of the patternlab project [required]',
+            string: true,
+            path: true
+        },
+        dataFile: {
+            describe: 'Global patternlab data file [default: _data/data.json next to --patternDir]',
+            string: true,
+            path: true
+        },
+        parser: {
+            describe: 'Template language, "mustache", "handlebars" or "twig" [default: mustache]',
+            string: true
+        },
+        tags: {
+            describe: 'Delimiters the mustache templates start with, e.g. "<% %>" [default: {{ }}]',
+            string: true
+        },
+        fileEnding: {
+            describe: 'File ending of the templates [default: the one of --parser, else all known endings]',
+            string: true
+        },
+        out: {
+            alias: 'o',
+            describe: 'File to write the model to [default: depends on the format, e.g. out/model.json]',
+            string: true,
+            path: true
+        },
+        format: {
+            alias: 'f',
+            describe: 'Output format, "json", "schema", "typescript", "neos", "cnd" or one of a plugin [default: json]',
+            string: true
+        },
+        plugin: {
+            describe: 'Exporter plugin to load, an npm module or a file path, can be given multiple times',
+            string: true,
+            module: true
+        },
+        namespace: {
+            describe: 'Namespace of generated CMS node types, the Neos package key or the CND prefix [default: Vendor.Site or app]',
+            string: true
+        },
+        namespaceUri: {
+            describe: 'URI of the CND namespace [default: http://www.example.com/<namespace>/1.0]',
+            string: true
+        },
+        pretty: {
+            describe: 'Indentation of the output, --no-pretty for compact output [default: 4]'
+        },
+        diagnostics: {
+            describe: 'File to write the diagnostics to as JSON',
+            string: true,
+            path: true
+        },
+        concurrency: {
+            describe: 'Maximum number of templates parsed at the same time, 0 for no limit [default: 16]'
+        },
+        circularIncludes: {
+            describe: 'Handling of circular includes, "mark" or "fail" [default: mark]',
+            string: true
+        },
+        watch: {
+            alias: 'w',
+            describe: 'Keep running and rewrite the model whenever a template or data file changes',
+            boolean: true
+        },
+        config: {
+            alias: 'c',
+            describe: 'Config file with the same keys as the options [default: ./' + defaultConfigFile + ' if it exists]',
+            string: true
+        },
+        help: {
+            alias: 'h',
+            describe: 'Show this help',
+            boolean: true
+        }
+    };
+
+    /**
+     * Defaults applied after merging config file and command line options.
+     *
+     * @memberOf Cli
+     *
+     * @type {{}}
+     */
+    var cliDefaults = {
+        format: 'json',
+        pretty: 4
+    };
+
+    /**
+     * Create the optimist instance for the given arguments.
+     *
+     * @memberOf Cli
+     * @function createArgv
+     * @private
+     *
+     * @param {string[]} args
+     *
+     * @returns {{}}
+     */
+    function createArgv(args) {
+        var argv = optimist(args).usage('Create a JSON domain model from a patternlab project.\n\n' +
+            'Usage: $0 --patternDir=<dir> (--tplBaseDir=<dir> | --tplFile=<file>) [options]\n' +
+            '       $0 diff <old model> (<new model> | --patternDir=<dir> (--tplBaseDir=<dir> | --tplFile=<file>))\n' +
+            '       $0 validate --patternDir=<dir> (--tplBaseDir=<dir> | --tplFile=<file>)');
+
+        Object.keys(cliOptions).forEach(function(key) {
+            argv.options(key, cliOptions[key]);
+        });
+
+        return argv;
+    }
+
+    /**
+     * Read the config file.
+     * Relative paths in the config file are resolved against the directory of the file, module names are kept.
+     *
+     * @memberOf Cli
+     * @function readConfig
+     * @private
+     *
+     * @throws {Error} Throws an {@link Error} if an explicitly given config file is missing or the file is invalid.
+     *
+     * @param {string} [configFile]
+     *
+     * @returns {{}}
+     */
+    function readConfig(configFile) {
+        var file = configFile || defaultConfigFile;
+
+        if(!fs.existsSync(file)) {
+            if(configFile) {
+                throw new Error('Config file `' + configFile + '` not found.');
+            }
+            return {};
+        }
+
+        var config;
+        try {
+            config = JSON.parse(fs.readFileSync(file).toString());
+        } catch (e) {
+            throw new Error('Invalid config file `' + file + '`: ' + e.message);
+        }
+
+        Object.keys(config).forEach(function(key) {
+            if(!cliOptions.hasOwnProperty(key)) {
+                return;
+            }
+
+            if(cliOptions[key].path && typeof config[key] === 'string') {
+                config[key] = path.resolve(path.dirname(file), config[key]);
+            } else if(cliOptions[key].module) {
+                config[key] = [].concat(config[key]).map(function(name) {
+                    return (typeof name === 'string' && name.charAt(0) === '.') ? path.resolve(path.dirname(file), name) : name;
+                });
+            }
+        });
+
+        return config;
+    }
+
+    /**
+     * Validate the merged options.
+     *
+     * @memberOf Cli
+     * @function validateOptions
+     * @private
+     *
+     * @param {{}} options
+     *
+     * @returns {string[]} List of usage errors
+     */
+    function validateOptions(options) {
+        var errors = [],
+            isCount = function(value) {
+                return typeof value === 'number' && value >= 0 && Math.floor(value) === value;
+            };
+
+        if(options.command !== null && commands.indexOf(options.command) === -1) {
+            errors.push('Unknown command `' + options.command + '`, use one of: ' + commands.join(', ') + '.');
+        }
+
+        if(options.command === 'diff' && (options.files.length < 1 || options.files.length > 2)) {
+            errors.push('The diff command needs one or two model files.');
+        }
+
+        // the diff of two model files does not need the pattern tree
+        if(options.command !== 'diff' || options.files.length < 2) {
+            if(!options.patternDir) {
+                errors.push('Missing required option --patternDir.');
+            }
+
+            if(!options.tplBaseDir && !options.tplFile) {
+                errors.push('Either --tplBaseDir or --tplFile is required.');
+            }
+        }
+
+        if(options.hasOwnProperty('parser') && parsers.getParser(options.parser) === null) {
+            errors.push('Unknown parser `' + options.parser + '`, use one of: ' + Object.keys(parsers.parsers).join(', ') + '.');
+        }
+
+        if(options.hasOwnProperty('tags')) {
+            var tags = options.tags;
+            if(!Array.isArray(tags) || tags.length !== 2 || tags.some(function(tag) { return typeof tag !== 'string' || tag.length === 0; })) {
+                errors.push('--tags must be an opening and a closing delimiter separated by a space.');
+            }
+        }
+
+        if(!exporters.has(options.format)) {
+            errors.push('Unknown format `' + options.format + '`, use one of: ' + exporters.names().join(', ') + '.');
+        }
+
+        if(typeof options.pretty !== 'boolean' && !isCount(options.pretty)) {
+            errors.push('--pretty must be a number of spaces.');
+        }
+
+        if(options.hasOwnProperty('concurrency') && !isCount(options.concurrency)) {
+            errors.push('--concurrency must be a number.');
+        }
+
+        if(options.hasOwnProperty('circularIncludes') && ['mark', 'fail'].indexOf(options.circularIncludes) === -1) {
+            errors.push('--circularIncludes must be "mark" or "fail".');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Load the exporter plugins given with `--plugin` into the exporter registry.
+     *
+     * @memberOf Cli
+     * @function loadPlugins
+     * @private
+     *
+     * @param {{}} options
+     *
+     * @returns {string[]} List of usage errors
+     */
+    function loadPlugins(options) {
+        var errors = [];
+
+        [].concat(options.plugin || []).forEach(function(plugin) {
+            try {
+                exporters.load(String(plugin));
+            } catch (e) {
+                errors.push(e.message);
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Parse the command line arguments and the config file into the options of a run.
+     *
+     * @memberOf Cli
+     * @function parseOptions
+     *
+     * @throws {Error} Throws an {@link Error} if the config file can not be read.
+     *
+     * @param {string[]} args
+     *
+     * @returns {{options: {}, errors: string[], help: string}}
+     */
+    function parseOptions(args) {
+        var argvParser = createArgv(args),
+            argv = argvParser.parse(args),
+            given = {};
+
+        // only explicitly given arguments overwrite the config file
+        Object.keys(cliOptions).forEach(function(key) {
+            if(argv.hasOwnProperty(key) && argv[key] !== undefined && !(cliOptions[key].boolean && argv[key] === false)) {
+                given[key] = argv[key];
+            }
+        });
+
+        var options = extend({}, cliDefaults, readConfig(argv.config), given, {
+            command: argv._.length > 0 ? String(argv._[0]) : null,
+            files: argv._.slice(1).map(String)
+        });
+        if(options.pretty === true) {
+            options.pretty = cliDefaults.pretty;
+        } else if(options.pretty === false) {
+            options.pretty = 0;
+        }
+
+        // delimiters are passed on as the validated pair of opening and closing delimiter
+        if(typeof options.tags === 'string') {
+            options.tags = options.tags.trim().split(/\s+/);
+        }
+
+        return {
+            options: options,
+            errors: options.help ? [] : loadPlugins(options).concat(validateOptions(options)),
+            help: argvParser.help()
+        };
+    }
+
+    /**
+     * Run the command line interface.
+     *
+     * @memberOf Cli
+     * @function run
+     *
+     * @param {string[]} args Command line arguments without the node binary and script
+     * @param {function} fn Called with the exit code
+     */
+    function run(args, fn) {
+        var parsed;
+
+        try {
+            parsed = parseOptions(args);
+        } catch (e) {
+            console.error(e.message);
+            fn(exitCodes.USAGE);
+            return;
+        }
+
+        var options = parsed.options;
+
+        if(options.help) {
+            console.log(parsed.help);
+            fn(exitCodes.SUCCESS);
+            return;
+        }
+
+        if(parsed.errors.length > 0) {
+            parsed.errors.forEach(function(error) {
+                console.error(error);
+            });
+            console.error('Run with --help for usage information.');
+            fn(exitCodes.USAGE);
+            return;
+        }
+
+        if(options.command === 'diff') {
+            runDiff(options, fn);
+            return;
+        }
+
+        if(options.command === 'validate') {
+            runValidate(options, fn);
+            return;
+        }
+
+        var conductor = createConductor(options),
+            exitCode = exitCodes.SUCCESS;
+
+        console.log('start parsing project');
+        conductor.start().fail(function() {
+            exitCode = exitCodes.FAILURE;
+        }).fin(function() {
+            writeResult(conductor, options, function(err) {
+                if(err || conductor.diagnostics.hasErrors()) {
+                    exitCode = exitCodes.FAILURE;
+                }
+
+                if(options.watch) {
+                    console.log('watching for changes');
+                    conductor.watch();
+                    conductor.on('update', function(file) {
+                        console.log('changed ' + file);
+                        writeResult(conductor, options, function() {});
+                    });
+                }
+
+                fn(exitCode);
+            });
+        });
+    }
+
+    /**
+     * Run the diff command.
+     * Compares the first model file with the second one or with the model of the current pattern tree.
+     *
+     * @memberOf Cli
+     * @function runDiff
+     * @private
+     *
+     * @param {{}} options
+     * @param {function} fn Called with the exit code
+     */
+    function runDiff(options, fn) {
+        var fail = function(err) {
+                console.error('Error', err.message);
+                fn(exitCodes.FAILURE);
+            },
+            loadNewModel = function(callback) {
+                if(options.files.length > 1) {
+                    diff.readModel(options.files[1], callback);
+                    return;
+                }
+
+                var conductor = createConductor(options);
+                console.log('start parsing project');
+                conductor.start().then(function() {
+                    printDiagnostics(conductor, options);
+                    callback(null, createModel(conductor.handler.storage, {
+                        baseDir: options.patternDir
+                    }));
+                }, function(err) {
+                    printDiagnostics(conductor, options);
+                    callback(err);
+                }).done();
+            };
+
+        diff.readModel(options.files[0], function(err, oldModel) {
+            if(err) {
+                fail(err);
+                return;
+            }
+
+            loadNewModel(function(err, newModel) {
+                if(err) {
+                    fail(err);
+                    return;
+                }
+
+                var changes = diff.diffModels(oldModel, newModel),
+                    breaking = changes.filter(function(change) {
+                        return change.breaking;
+                    }).length;
+
+                changes.forEach(function(change) {
+                    console.log(change.toString());
+                });
+                console.log('changes: ' + breaking + ' breaking, ' + (changes.length - breaking) + ' non-breaking');
+
+                fn(breaking > 0 ? exitCodes.BREAKING : exitCodes.SUCCESS);
+            });
+        });
+    }
+
+    /**
+     * Run the validate command.
+     * Builds the model and checks the patternlab data files against it.
+     *
+     * @memberOf Cli
+     * @function runValidate
+     * @private
+     *
+     * @param {{}} options
+     * @param {function} fn Called with the exit code
+     */
+    function runValidate(options, fn) {
+        var conductor = createConductor(options);
+
+        console.log('start parsing project');
+        conductor.start().then(function() {
+            return new DataValidator(conductor).validate();
+        }).then(function(diagnostics) {
+            diagnostics.items.forEach(function(diagnostic) {
+                conductor.diagnostics.add(diagnostic);
+            });
+            printDiagnostics(conductor, options);
+
+            fn(conductor.diagnostics.hasErrors() ? exitCodes.FAILURE : exitCodes.SUCCESS);
+        }, function() {
+            printDiagnostics(conductor, options);
+            fn(exitCodes.FAILURE);
+        }).done();
+    }
+
+    /**
+     * Create the conductor for the pattern tree given in the options.
+     *
+     * @memberOf Cli
+     * @function createConductor
+     * @private
+     *
+     * @param {{}} options
+     *
+     * @returns {Conductor.Conductor}
+     */
+    function createConductor(options) {
+        var conductor = new Conductor({
+            startDir: options.tplBaseDir,
+            startFile: options.tplFile,
+            patternDir: options.patternDir,
+            dataFile: options.dataFile,
+            parser: options.parser,
+            fileEnding: options.fileEnding,
+            tags: options.tags,
+            patternTypes: options.patternTypes,
+            concurrency: options.concurrency,
+            circularIncludes: options.circularIncludes
+        });
+
+        conductor.on('error', function(err) {
+            console.error('Error', err.message);
+        });
+
+        return conductor;
+    }
+
+    /**
+     * Print the diagnostics and write the diagnostics file.
+     *
+     * @memberOf Cli
+     * @function printDiagnostics
+     * @private
+     *
+     * @param {Conductor.Conductor} conductor
+     * @param {{}} options
+     */
+    function printDiagnostics(conductor, options) {
+        conductor.diagnostics.items.forEach(function(diagnostic) {
+            console.error(diagnostic.toString());
+        });
+        console.log('diagnostics: ' + conductor.diagnostics.summary());
+
+        if(options.diagnostics) {
+            conductor.diagnostics.write(options.diagnostics, function(err) {
+                if(err) {
+                    console.error('Error', err.message);
+                }
+            });
+        }
+    }
+
+    /**
+     * Print the diagnostics and write the diagnostics file and the model.
+     *
+     * @memberOf Cli
+     * @function writeResult
+     * @private
+     *
+     * @param {Conductor.Conductor} conductor
+     * @param {{}} options
+     * @param {function} fn Called with an error if the model could not be written
+     */
+    function writeResult(conductor, options, fn) {
+        printDiagnostics(conductor, options);
+
+        console.log('start model writing');
+        var formatOptions = (options.formatOptions && options.formatOptions[options.format]) || {},
+            WriterClass = exporters.get(options.format),
+            writer = new WriterClass(extend({}, formatOptions, {
+                outFile: options.out,
+                pretty: options.pretty,
+                baseDir: options.patternDir,
+                namespace: options.namespace,
+                namespaceUri: options.namespaceUri
+            }));
+        writer.write(conductor.handler.storage, function(err) {
+            if(err) {
+                console.error('Error', err.message);
+            } else {
+                console.log('model written to ' + writer.options.outFile);
+            }
+
+            fn(err);
+        });
+    }
+
+    module.exports = {
+        run             : run,
+        parseOptions    : parseOptions,
+        exitCodes       : exitCodes
+    };
+})(module);
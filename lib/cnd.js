@@ -0,0 +1,219 @@
+/**
+ * @module patternlab2domain
+ * @author Moritz Spindelhirn [m.spindelhirn@cashiers-check.de]
+ * @namespace Cnd
+ */
+(function(module) {
+    'use strict';
+
+    var extend = require('extend'),
+        util = require('util'),
+        path = require('path'),
+        Writer = require('./writer').Writer,
+        fieldTypes = require('./parser').fieldTypes,
+        sampleTypes = require('./data').sampleTypes,
+        toPascalCase = require('./naming').toPascalCase;
+
+    /**
+     * CND writer default options
+     *
+     * @memberOf Cnd
+     *
+     * @type {{outFile: string, namespace: string, namespaceUri: string|null, superType: string}}
+     */
+    var cndWriterDefaultOptions = {
+
+        outFile: path.join('out', 'model.cnd'),
+
+        /**
+         * Namespace prefix of the node types
+         */
+        namespace: 'app',
+
+        /**
+         * URI of the namespace, defaults to `http://www.example.com/<namespace>/1.0`
+         */
+        namespaceUri: null,
+
+        /**
+         * Super type of all generated node types
+         */
+        superType: 'nt:base'
+    };
+
+    /**
+     * Quote a JCR name if it contains characters not allowed in an unquoted CND name.
+     *
+     * @memberOf Cnd
+     * @function toCndName
+     * @private
+     *
+     * @param {string} name
+     *
+     * @returns {string}
+     */
+    function toCndName(name) {
+        return /^[a-zA-Z_][a-zA-Z0-9_.:-]*$/.test(name) ? name : '\'' + name.replace(/'/g, '\\\'') + '\'';
+    }
+
+    /**
+     * Check if a field is a section with own fields or relations which becomes a child node.
+     *
+     * @memberOf Cnd
+     * @function isSection
+     * @private
+     *
+     * @param {Parser.Field} field
+     *
+     * @returns {boolean}
+     */
+    function isSection(field) {
+        return field.fields.length > 0 || field.relations.length > 0;
+    }
+
+    /**
+     * Writer for a PHPCR / Jackalope Compact Namespace and Node Type Definition (CND) file.
+     * Every element becomes a node type, fields become properties (multi-valued for iterable fields) and relations
+     * become child node definitions. Sections with own fields or relations become child nodes of a generated node type.
+     *
+     * @memberOf Cnd
+     * @namespace Cnd.CndWriter
+     *
+     * @param {{}} options
+     * @constructor
+     */
+    function CndWriter(options) {
+        Writer.call(this, extend({}, cndWriterDefaultOptions, options));
+
+        /**
+         * Get the prefixed node type name of a node id or a section.
+         *
+         * @memberOf Cnd.CndWriter
+         * @function toNodeTypeName
+         * @private
+         *
+         * @param {string} name
+         *
+         * @returns {string}
+         */
+        this.toNodeTypeName = function(name) {
+            return this.options.namespace + ':' + name;
+        };
+
+        /**
+         * Get the property type of a field.
+         *
+         * @memberOf Cnd.CndWriter
+         * @function fieldToPropertyType
+         * @private
+         *
+         * @param {Parser.Field} field
+         *
+         * @returns {string}
+         */
+        this.fieldToPropertyType = function(field) {
+            if(field.options.type === fieldTypes.BOOLEAN) {
+                return 'Boolean';
+            }
+
+            switch(field.sample ? field.sample.type : null) {
+                case sampleTypes.NUMBER:
+                    return (field.sample.value % 1 === 0) ? 'Long' : 'Double';
+
+                case sampleTypes.URL:
+                    return 'URI';
+
+                default:
+                    return 'String';
+            }
+        };
+
+        /**
+         * Get the definitions of a node type and the generated node types of its sections.
+         * Names used more than once in a template are defined only once.
+         *
+         * @memberOf Cnd.CndWriter
+         * @function containerToNodeTypes
+         * @private
+         *
+         * @param {Builder.CrNode|Parser.Field} container
+         * @param {string} typeName Name of the node type without namespace
+         * @param {string} comment
+         *
+         * @returns {string[]}
+         */
+        this.containerToNodeTypes = function(container, typeName, comment) {
+            var $this = this,
+                lines = [
+                    '// ' + comment,
+                    '[' + $this.toNodeTypeName(typeName) + '] > ' + $this.options.superType
+                ],
+                sectionTypes = [],
+                declared = {};
+
+            container.fields.forEach(function(field) {
+                if(declared[field.name]) {
+                    return;
+                }
+                declared[field.name] = true;
+
+                if(isSection(field)) {
+                    var sectionTypeName = typeName + toPascalCase(field.name);
+                    lines.push('  + ' + toCndName(field.name) + ' (' + $this.toNodeTypeName(sectionTypeName) + ')' +
+                        (field.options.iterable ? ' sns' : ''));
+                    sectionTypes = sectionTypes.concat($this.containerToNodeTypes(
+                        field, sectionTypeName, 'Section `' + field.name + '` of ' + comment.charAt(0).toLowerCase() + comment.substr(1)
+                    ));
+                    return;
+                }
+
+                lines.push('  - ' + toCndName(field.name) + ' (' + $this.fieldToPropertyType(field) + ')' +
+                    (field.options.required ? ' mandatory' : '') + (field.options.iterable ? ' multiple' : ''));
+            });
+
+            container.relations.forEach(function(include) {
+                var name = (include.options && include.options.name) || include.name;
+                if(declared[name]) {
+                    return;
+                }
+                declared[name] = true;
+
+                lines.push('  + ' + toCndName(name) + ' (' + $this.toNodeTypeName(toPascalCase(include.name)) + ')');
+            });
+
+            return [lines.join('\n')].concat(sectionTypes);
+        };
+    }
+    util.inherits(CndWriter, Writer);
+
+    /**
+     * Serialize the domain model as CND.
+     *
+     * @memberOf Cnd.CndWriter
+     * @function serialize
+     *
+     * @param {{schemaVersion: number, elements: {}[]}} model
+     *
+     * @returns {string}
+     */
+    CndWriter.prototype.serialize = function(model) {
+        var $this = this,
+            namespaceUri = this.options.namespaceUri || 'http://www.example.com/' + this.options.namespace + '/1.0',
+            nodeTypes = [
+                '<' + this.options.namespace + ' = \'' + namespaceUri + '\'>'
+            ];
+
+        model.elements.forEach(function(crNode) {
+            nodeTypes = nodeTypes.concat(
+                $this.containerToNodeTypes(crNode, toPascalCase(crNode.id), 'Domain model element `' + crNode.id + '`')
+            );
+        });
+
+        return nodeTypes.join('\n\n') + '\n';
+    };
+
+    // expose CND writer as public API
+    module.exports = {
+        CndWriter: CndWriter
+    };
+})(module);
@@ -7,9 +7,15 @@
     'use strict';
 
     var extend = require('extend'),
-        Parser = require('./parser').Parser,
+        parsers = require('./parsers'),
+        Data = require('./data'),
+        Metadata = require('./metadata'),
+        Diagnostics = require('./diagnostics').Diagnostics,
+        JobQueue = require('./queue').JobQueue,
+        Watcher = require('./watcher').Watcher,
         NodeStorage = require('./builder').NodeStorage,
         CrNode = require('./builder').CrNode,
+        Variant = require('./builder').Variant,
         util = require('util'),
         events = require('events'),
         fs = require('fs'),
@@ -62,24 +68,88 @@
         patternDir      : '',
 
         /**
-         * File ending to parse in the {@link defaultOptions.startDir}.
-         * This option is unused if you not use {@link defaultOptions.startDir}.
+         * File ending of the templates in the {@link defaultOptions.startDir} and the {@link defaultOptions.patternDir}.
+         * Defaults to the file ending of the {@link defaultOptions.parser parser}. Without both all file endings of
+         * the known template languages are accepted.
          *
          * @memberOf Conductor.defaultOptions
          *
          * @type {string}
          */
-        fileEnding      : '.mustache'
+        fileEnding      : '',
+
+        /**
+         * Template language, `mustache`, `handlebars` or `twig`.
+         * If not given the language is selected by the file ending of each template.
+         *
+         * @memberOf Conductor.defaultOptions
+         *
+         * @type {string|null}
+         */
+        parser          : null,
+
+        /**
+         * Delimiters the mustache templates start with, e.g. `['<%', '%>']`.
+         * Delimiter changes inside a template are honoured in any case.
+         *
+         * @memberOf Conductor.defaultOptions
+         *
+         * @type {string[]|string|null}
+         */
+        tags            : null,
+
+        /**
+         * Path to the global patternlab data file.
+         * Defaults to `_data/data.json` next to the {@link defaultOptions.patternDir}.
+         *
+         * @memberOf Conductor.defaultOptions
+         *
+         * @type {string}
+         */
+        dataFile        : '',
+
+        /**
+         * Map of pattern types to their directory relative to the {@link defaultOptions.patternDir}
+         * e.g. `{"atoms": "00-atoms", "components": "05-components"}`.
+         * If not given the pattern types are discovered from the directories in the
+         * {@link defaultOptions.patternDir} by stripping the numeric prefix.
+         *
+         * @memberOf Conductor.defaultOptions
+         *
+         * @type {Object.<string, string>|null}
+         */
+        patternTypes    : null,
+
+        /**
+         * Maximum number of templates parsed at the same time, 0 for no limit.
+         *
+         * @memberOf Conductor.defaultOptions
+         *
+         * @type {Number}
+         */
+        concurrency     : 16,
+
+        /**
+         * Handling of circular includes.
+         * With `mark` the include closing the cycle is kept as a relation flagged as `recursive` and a warning is reported.
+         * With `fail` an error is reported and the parse job of the including template fails.
+         *
+         * @memberOf Conductor.defaultOptions
+         *
+         * @type {string}
+         */
+        circularIncludes: 'mark'
     };
 
     /**
      * Parsing conductor.
-     * Given a start file the conductor will manage a hierarchical parsing process to identify all organisms, molecules
-     * and atoms used in the template.
+     * Given a start file the conductor will manage a hierarchical parsing process to identify all patterns
+     * like organisms, molecules and atoms used in the template.
      * All options are described in the {@link Conductor.defaultOptions defaultOptions}.
      *
      * @fires Conductor#error
      * @fires Conductor#end
+     * @fires Conductor#update
      *
      * @memberOf Conductor
      * @namespace Conductor.Conductor
@@ -99,36 +169,59 @@
          * @type {Conductor.defaultOptions}
          */
         this.options = extend(true, {}, defaultOptions, options);
+        if(!this.options.fileEnding && parsers.getParser(this.options.parser)) {
+            this.options.fileEnding = parsers.getParser(this.options.parser).fileEnding;
+        }
 
         /**
-         * List with all modules
+         * Map of pattern types like atoms or molecules to the map of their pattern ids and template files.
          *
-         * @name molecules
+         * @name structures
          * @memberOf Conductor.Conductor
          *
-         * @type {{}}
+         * @type {Object.<string, Object.<string, string>>}
          */
-        this.molecules  = {};
+        this.structures = {};
 
         /**
-         * List of all atoms
+         * Map of pattern types to their absolute directory.
          *
-         * @name atoms
+         * @name patternTypeDirs
          * @memberOf Conductor.Conductor
          *
-         * @type {{}}
+         * @type {Object.<string, string>}
+         */
+        this.patternTypeDirs = {};
+
+        /**
+         * Map of pattern ids to their patternlab data files
+         *
+         * @name dataFiles
+         * @memberOf Conductor.Conductor
+         *
+         * @type {Object.<string, string>}
          */
-        this.atoms      = {};
+        this.dataFiles  = {};
 
         /**
-         * List of organisms
+         * Map of pattern ids to the data files of their pseudo-pattern variants
          *
-         * @name organisms
+         * @name variantFiles
+         * @memberOf Conductor.Conductor
+         *
+         * @type {Object.<string, Object.<string, string>>}
+         */
+        this.variantFiles = {};
+
+        /**
+         * Content of the global patternlab data file
+         *
+         * @name globalData
          * @memberOf Conductor.Conductor
          *
          * @type {{}}
          */
-        this.organisms  = {};
+        this.globalData = {};
 
         /**
          * Data handler instance to handle fields.
@@ -141,279 +234,1189 @@
         this.handler = new NodeStorage();
 
         /**
-         * List with all parser promises.
+         * Collector for all problems found while parsing.
          *
-         * @name parserPromises
+         * @name diagnostics
          * @memberOf Conductor.Conductor
          *
-         * @type {Array}
+         * @type {Diagnostics.Diagnostics}
          */
-        this.parserPromises = [];
+        this.diagnostics = new Diagnostics();
 
         /**
-         * Unix timestamp set by {@link waitForFinish} to check for changes on the {@link parserPromises} array.
+         * Queue of all parse jobs.
          *
-         * @name parserPromisesTs
+         * @name queue
          * @memberOf Conductor.Conductor
          *
-         * @type {Number}
+         * @type {Queue.JobQueue}
          */
-        this.parserPromisesTs;
+        this.queue = new JobQueue(this.options.concurrency);
 
         /**
-         * Start a parser.
-         * Handle all parser events.
+         * Map of node ids to the promise of their parse job.
          *
-         * @function startParser
+         * @name nodePromises
          * @memberOf Conductor.Conductor
          *
-         * @private
-         * @param {string} id
-         * @param {Parser.Parser} parser
+         * @type {Object.<string, Promise>}
          */
-        this.startParser = function(id, parser) {
-            var $this = this,
-                deffered = Q.defer();
-
-            $this.parserPromises.push(deffered.promise);
+        this.nodePromises = {};
 
-            var crNode = new CrNode(id);
-            $this.handler.addNode(crNode);
+        /**
+         * Include graph as map of node ids to the ids of the patterns they include.
+         *
+         * @name includeGraph
+         * @memberOf Conductor.Conductor
+         *
+         * @type {Object.<string, Object.<string, boolean>>}
+         */
+        this.includeGraph = {};
 
-            parser.on('error', function() {
-                deffered.reject(new Error('Parser ' + id + ' failed.'));
-            });
+        /**
+         * Map of pattern ids that could not be resolved to the ids of the nodes including them.
+         * Used to parse the including nodes again once the pattern is added in watch mode.
+         *
+         * @name unresolvedIncludes
+         * @memberOf Conductor.Conductor
+         *
+         * @type {Object.<string, Object.<string, boolean>>}
+         */
+        this.unresolvedIncludes = {};
 
-            parser.on('include', function(include) {
-                if(!$this.handler.hasNode(include.name)) {
-                    var fileName = $this.getFilePathFromName(include.name);
-                    crNode.templateFile = fileName;
-                    var promise = $this.startParser(include.name, new Parser(fileName));
+        /**
+         * Find a path in the include graph.
+         *
+         * @function findIncludePath
+         * @memberOf Conductor.Conductor
+         *
+         * @private
+         * @param {string} fromId
+         * @param {string} toId
+         * @param {Object.<string, boolean>} [visited] Used internally
+         *
+         * @returns {string[]|null} Ids of the path including both ends or null if there is no path
+         */
+        this.findIncludePath = function(fromId, toId, visited) {
+            if(fromId === toId) {
+                return [toId];
+            }
 
-                    $this.waitForFinish();
+            visited = visited || {};
+            visited[fromId] = true;
 
-                    promise.then(function(includedNode) {
-                        if(!includedNode.info.hasOwnProperty('isOwnElement') || includedNode.info.isOwnElement !== false) {
-                            $this.handler.addRelation(id, include);
-                        }
-                    })
+            var children = Object.keys(this.includeGraph[fromId] || {});
+            for(var i = 0; i < children.length; i++) {
+                if(!visited[children[i]]) {
+                    var subPath = this.findIncludePath(children[i], toId, visited);
+                    if(subPath !== null) {
+                        return [fromId].concat(subPath);
+                    }
                 }
-            });
+            }
 
-            parser.on('field', function(field) {
-                $this.handler.addField(id, field);
-            });
+            return null;
+        };
 
-            parser.on('nodeinfo', function(info) {
-                var crNode = $this.handler.getNodeById(id);
-                crNode.info = info;
-            });
+        /**
+         * Add an edge to the include graph.
+         *
+         * @function addIncludeEdge
+         * @memberOf Conductor.Conductor
+         *
+         * @private
+         * @param {string} parentId
+         * @param {string} childId
+         *
+         * @returns {string[]|null} Ids of the cycle closed by the new edge or null
+         */
+        this.addIncludeEdge = function(parentId, childId) {
+            var cyclePath = this.findIncludePath(childId, parentId);
 
-            parser.on('end', function() {
-                var crNode = $this.handler.getNodeById(id);
+            if(!this.includeGraph[parentId]) {
+                this.includeGraph[parentId] = {};
+            }
+            this.includeGraph[parentId][childId] = true;
 
-                if(crNode.info == null) {
-                    crNode.info = {};
-                }
+            return cyclePath === null ? null : [parentId].concat(cyclePath);
+        };
 
-                deffered.resolve(crNode);
-            });
+        /**
+         * Create the parser for a template.
+         * Uses the parser of the {@link Conductor.defaultOptions.parser parser} option or selects it by the file ending.
+         *
+         * @function createParser
+         * @memberOf Conductor.Conductor
+         *
+         * @private
+         * @param {string} file
+         *
+         * @returns {Parser.Parser}
+         */
+        this.createParser = function(file) {
+            var ParserClass = parsers.getParser(this.options.parser) || parsers.getParserByFile(file);
 
-            parser.parse();
-            return deffered.promise;
+            return new ParserClass(file, {
+                tags: this.options.tags
+            });
         };
 
         /**
-         * Get the full file path for a structure id.
-         * structure id's must start either with "molecules-", "organisms-" or "atoms-".
+         * Queue a parse job for a template.
+         * The node is added to the storage right away so every template is parsed only once.
          *
+         * @function startParser
          * @memberOf Conductor.Conductor
-         * @function getFilePathFromName
          *
          * @private
          * @param {string} id
+         * @param {Parser.Parser} parser
          *
-         * @returns {string} absolute file path
+         * @returns {Promise} Resolved with the parsed {@link Builder.CrNode node}
          */
-        this.getFilePathFromName = function(id) {
-            switch(true) {
-                case (id.substr(0, 'molecules-'.length) === 'molecules-'):
-                    if(this.molecules[id]) {
-                        return this.molecules[id];
-                    }
-                    break;
+        this.startParser = function(id, parser) {
+            var $this = this,
+                crNode = new CrNode(id);
 
-                case (id.substr(0, 'organisms-'.length) === 'organisms-'):
-                    if(this.organisms[id]) {
-                        return this.organisms[id];
-                    }
-                    break;
+            crNode.templateFile = parser.file;
+            $this.handler.addNode(crNode);
 
-                case (id.substr(0, 'atoms-'.length) === 'atoms-'):
-                    if(this.atoms[id]) {
-                        return this.atoms[id];
-                    }
-                    break;
-            }
+            $this.nodePromises[id] = $this.queue.push(function() {
+                return $this.runParser(crNode, parser);
+            });
 
-            return null;
+            return $this.nodePromises[id];
         };
 
         /**
-         * Get the id name for a structure.
+         * Get the promise of the node for an included pattern.
+         * Each pattern is parsed only once no matter how often it is included.
          *
+         * @function parseInclude
          * @memberOf Conductor.Conductor
-         * @function getNameFromFilePath
-         * @private
          *
-         * @param {string} structureType
-         * @param {string} filePath
+         * @private
+         * @param {Parser.Include} include
+         * @param {{file: string, line: Number, column: Number}} location Location of the include for diagnostics
+         * @param {string} parentId Id of the including node
          *
-         * @returns {string} name
+         * @returns {Promise|null} Null if the include can not be resolved
          */
-        this.getNameFromFilePath = function(structureType, filePath) {
-            var regexEnding = this.options.fileEnding.replace('.', '\\.'),
-                regex = new RegExp('([0-9]+)-(.*?)' + regexEnding),
-                parts = regex.exec(filePath);
+        this.parseInclude = function(include, location, parentId) {
+            if(this.nodePromises.hasOwnProperty(include.name)) {
+                return this.nodePromises[include.name];
+            }
 
-            if(!parts || parts.length < 2) {
+            var fileName = this.getFilePathFromInclude(include);
+            if(fileName === null) {
+                this.diagnostics.error('unresolved-include', 'Include `' + (include.template || include.name) + '` can not be resolved.', location);
+
+                if(!this.unresolvedIncludes[include.name]) {
+                    this.unresolvedIncludes[include.name] = {};
+                }
+                this.unresolvedIncludes[include.name][parentId] = true;
                 return null;
             }
 
-            return structureType + "-" + parts[2];
+            return this.startParser(include.name, this.createParser(fileName));
         };
 
         /**
-         * Build the atom, organism and molecule mapping.
+         * Emit an `error` event if anybody listens for it.
+         * Failed parse jobs are only reported as diagnostics and reject the promise of {@link Conductor.Conductor.start start},
+         * so an unhandled `error` event must not crash the process.
          *
-         * @function recursiveBuildStructureMapping
+         * @function emitError
          * @memberOf Conductor.Conductor
+         *
          * @private
+         * @param {Error} err
+         */
+        this.emitError = function(err) {
+            if(this.listenerCount('error') > 0) {
+                this.emit('error', err);
+            }
+        };
+
+        /**
+         * Run a parser and handle all parser events.
          *
-         * @param {string} structureType
-         * @param {string} base
+         * @function runParser
+         * @memberOf Conductor.Conductor
+         *
+         * @private
+         * @param {Builder.CrNode} crNode
+         * @param {Parser.Parser} parser
+         *
+         * @returns {Promise} Resolved with the parsed node, rejected if the template can not be read
          */
-        this.recursiveBuildStructureMapping = function(structureType, base) {
+        this.runParser = function(crNode, parser) {
             var $this = this,
-                deferred = Q.defer();
+                id = crNode.id,
+                deffered = Q.defer(),
+                cycleError = null,
+                nodeMetadata = {};
 
-            fs.readdir(base, function(err, files) {
-                if(err) {
-                    deferred.reject(err);
-                    return;
+            // a template that can not be read is reported and fails the job, other jobs continue
+            parser.on('error', function(err) {
+                $this.diagnostics.error('unreadable-template', 'Template of `' + id + '` can not be read: ' + err.message, { file: parser.file });
+
+                if(crNode.info == null) {
+                    crNode.info = {};
                 }
+                deffered.reject(err);
+            });
 
-                var qList = [];
-                files.forEach(function(filename) {
-                    // in general skip dot-files
-                    if(filename.substr(0, 1) === '.') {
+            parser.on('diagnostic', function(diagnostic) {
+                $this.diagnostics.add(diagnostic);
+            });
+
+            // every include occurrence becomes a relation, the included template is parsed only once
+            parser.on('include', function(include, parentField, location) {
+                var cycle = $this.addIncludeEdge(id, include.name);
+                if(cycle !== null) {
+                    var cycleMessage = 'Circular include ' + cycle.join(' > ') + '.';
+
+                    if($this.options.circularIncludes === 'fail') {
+                        $this.diagnostics.error('circular-include', cycleMessage, location);
+                        cycleError = new Error(cycleMessage);
                         return;
                     }
 
-                    var innerDeferred = Q.defer();
-                    qList.push(innerDeferred.promise);
+                    $this.diagnostics.warning('circular-include', cycleMessage, location);
+                    include.recursive = true;
+                }
 
-                    // add file or descent
-                    var newPath = path.join(base, filename);
-                    fs.stat(newPath, function(err, stats) {
-                        if(stats.isFile()) {
-                            if(filename.indexOf($this.options.fileEnding) != -1) {
-                                var idName = $this.getNameFromFilePath(structureType, filename);
-                                if(idName !== null) {
-                                    $this[structureType][idName] = newPath;
-                                }
-                            }
-                            innerDeferred.resolve();
-                        } else if(stats.isDirectory()) {
-                            $this.recursiveBuildStructureMapping(structureType, newPath).then(function() {
-                                innerDeferred.resolve();
-                            }, function(err) {
-                                innerDeferred.reject(err);
-                            });
+                var promise = $this.parseInclude(include, location, id);
+                if(promise === null) {
+                    return;
+                }
+
+                promise.then(function(includedNode) {
+                    if(include.variant && includedNode.getVariant(include.variant) === null) {
+                        $this.diagnostics.warning('unknown-variant', 'Pattern `' + include.name + '` has no variant `' + include.variant + '`.', location);
+                    }
+
+                    if(!includedNode.info.hasOwnProperty('isOwnElement') || includedNode.info.isOwnElement !== false) {
+                        // includes inside a section are relations of the section field
+                        if(parentField) {
+                            parentField.addRelation(include);
+                        } else {
+                            $this.handler.addRelation(id, include);
                         }
-                    });
+                    }
                 });
+            });
 
-                Q.allSettled(qList).then(function() {
-                    deferred.resolve();
+            parser.on('field', function(field) {
+                $this.handler.addField(id, field);
+            });
+
+            parser.on('nodeinfo', function(info) {
+                var crNode = $this.handler.getNodeById(id);
+                crNode.info = info;
+            });
+
+            parser.on('end', function() {
+                var crNode = $this.handler.getNodeById(id);
+
+                // cr:node comments overwrite the node metadata of the sidecar files
+                crNode.info = extend(true, {}, nodeMetadata, crNode.info || {});
+
+                if(cycleError !== null) {
+                    deffered.reject(cycleError);
+                    return;
+                }
+
+                // attach sample values from global and pattern specific data
+                Data.readDataFile($this.dataFiles[id], function(err, data) {
+                    if(err) {
+                        $this.diagnostics.error('invalid-data', err.message, { file: $this.dataFiles[id] });
+                    }
+
+                    Data.applySampleData(crNode.fields, extend(true, {}, $this.globalData, data));
+                    if(!err && $this.dataFiles[id]) {
+                        $this.reportMissingSamples(crNode, crNode.fields, '');
+                    }
+
+                    $this.loadVariants(crNode).then(function() {
+                        deffered.resolve(crNode);
+                    });
                 });
             });
 
-            return deferred.promise;
+            // metadata of the sidecar files is read first, the parser merges it into the fields
+            Metadata.readMetadata(parser.file, function(diagnostics, metadata) {
+                diagnostics.forEach(function(diagnostic) {
+                    $this.diagnostics.add(diagnostic);
+                });
+
+                nodeMetadata = metadata.node;
+                parser.options.metadata = metadata;
+                parser.parse();
+            });
+            return deffered.promise;
         };
 
         /**
-         * Must be called after the {@link Conductor.Conductor.parserPromises parserPromises} array is changed.
-         * This function will trigger the `end` event exactly one time.
+         * Read the data files of all pseudo-pattern variants of the node and add them as variants.
          *
-         * @function waitForFinish
+         * @function loadVariants
          * @memberOf Conductor.Conductor
+         *
          * @private
+         * @param {Builder.CrNode} crNode
+         *
+         * @returns {Promise}
          */
-        this.waitForFinish = function() {
+        this.loadVariants = function(crNode) {
             var $this = this,
-                lTs = Date.now(),
-                additionalSeed = Math.random() * 10000;
-
-            // this function can be called multiple times in 1 ms so wee need to add more entropy
-            lTs = lTs + "" + additionalSeed;
-            $this.parserPromisesTs = lTs;
-
-            // wait for all parsers to finish
-            var parserPromiseList = Q.all($this.parserPromises);
-            Q.allSettled(parserPromiseList).then(function() {
-                if($this.parserPromisesTs === lTs) {
-                    $this.emit('end');
-                }
-            }, function(err) {
-                $this.emit('error', err);
-            });
-        }
-    }
-    util.inherits(Conductor, events.EventEmitter);
+                files = $this.variantFiles[crNode.id] || {};
 
-    /**
-     * Start the hierarchical parsing process.
-     *
-     * @function start
-     * @memberOf Conductor.Conductor
-     */
-    Conductor.prototype.start = function() {
-        var $this = this;
+            return Q.all(Object.keys(files).sort().map(function(variantName) {
+                var deferred = Q.defer();
 
-        // build file mappings
-        var inits = [];
-        inits.push($this.recursiveBuildStructureMapping('atoms', path.join($this.options.patternDir, '00-atoms')));
-        inits.push($this.recursiveBuildStructureMapping('organisms', path.join($this.options.patternDir, '02-organisms')));
-        inits.push($this.recursiveBuildStructureMapping('molecules', path.join($this.options.patternDir, '01-molecules')));
-
-        // start initial parsers
-        Q.allSettled(inits).then(function() {
-            // process start point(s)
-            if($this.options.startDir && $this.options.startDir.length > 0) {
-                fs.readdir($this.options.startDir, function(err, files) {
+                Data.readDataFile(files[variantName], function(err, data) {
                     if(err) {
-                        $this.emit('error', err);
-                        return;
+                        $this.diagnostics.error('invalid-data', err.message, { file: files[variantName] });
                     }
 
-                    files.forEach(function(filename) {
-                        if(filename.indexOf($this.options.fileEnding) != -1) {
-                            var tplParser = new Parser(path.join($this.options.startDir, filename));
-                            $this.startParser(filename, tplParser);
-                        }
-                    });
+                    deferred.resolve(new Variant(variantName, data));
+                });
 
-                    $this.waitForFinish();
+                return deferred.promise;
+            })).then(function(variants) {
+                variants.forEach(function(variant) {
+                    crNode.addVariant(variant);
                 });
-            } else if($this.options.startFile && $this.options.startFile.length > 0) {
-                var tplParser = new Parser($this.options.startFile);
-                $this.startParser($this.options.startFile, tplParser);
-                $this.waitForFinish();
-            } else {
-                $this.emit('error', new Error('Neither startFile nor startDir given.'));
-            }
+            });
+        };
+
+        /**
+         * Report all fields without a sample value in the data files.
+         *
+         * @function reportMissingSamples
+         * @memberOf Conductor.Conductor
+         *
+         * @private
+         * @param {Builder.CrNode} crNode
+         * @param {Parser.Field[]} fields
+         * @param {string} prefix Path of the enclosing sections
+         */
+        this.reportMissingSamples = function(crNode, fields, prefix) {
+            var $this = this;
+
+            fields.forEach(function(field) {
+                if(field.sample === null) {
+                    $this.diagnostics.info('missing-sample', 'Field `' + prefix + field.name + '` of `' + crNode.id + '` has no sample data.', { file: crNode.templateFile });
+                }
+
+                $this.reportMissingSamples(crNode, field.fields, prefix + field.name + '.');
+            });
+        };
+
+        /**
+         * Register a patternlab data file.
+         * Data files with a variant name are pseudo-patterns of the template with the given id.
+         *
+         * @function addDataFile
+         * @memberOf Conductor.Conductor
+         *
+         * @private
+         * @param {string} id
+         * @param {string|null} variant
+         * @param {string} file
+         */
+        this.addDataFile = function(id, variant, file) {
+            if(variant) {
+                if(!this.variantFiles[id]) {
+                    this.variantFiles[id] = {};
+                }
+                this.variantFiles[id][variant] = file;
+            } else {
+                this.dataFiles[id] = file;
+            }
+        };
+
+        /**
+         * Get the file endings of the templates, the {@link Conductor.defaultOptions.fileEnding fileEnding} option or
+         * all file endings of the known template languages.
+         *
+         * @function getTemplateEndings
+         * @memberOf Conductor.Conductor
+         * @private
+         *
+         * @returns {string[]}
+         */
+        this.getTemplateEndings = function() {
+            return this.options.fileEnding ? [this.options.fileEnding] : Object.keys(parsers.fileEndings);
+        };
+
+        /**
+         * Get the template file ending of a file.
+         *
+         * @function getTemplateEnding
+         * @memberOf Conductor.Conductor
+         * @private
+         *
+         * @param {string} file
+         *
+         * @returns {string|null} The file ending or null if the file is no template
+         */
+        this.getTemplateEnding = function(file) {
+            var endings = this.getTemplateEndings();
+
+            for(var i = 0; i < endings.length; i++) {
+                if(file.substr(-endings[i].length) === endings[i]) {
+                    return endings[i];
+                }
+            }
+
+            return null;
+        };
+
+        /**
+         * Get the full file path for an include.
+         * Path style includes are resolved relative to the {@link Conductor.defaultOptions.patternDir patternDir},
+         * all other includes are resolved by the pattern id.
+         *
+         * @memberOf Conductor.Conductor
+         * @function getFilePathFromInclude
+         *
+         * @private
+         * @param {Parser.Include} include
+         *
+         * @returns {string} absolute file path or null if the include can not be resolved
+         */
+        this.getFilePathFromInclude = function(include) {
+            if(!include.template) {
+                return this.getFilePathFromName(include.name);
+            }
+
+            var $this = this,
+                filePath = path.join(this.options.patternDir, include.template),
+                candidates = this.getTemplateEnding(filePath) !== null ? [filePath] : this.getTemplateEndings().map(function(ending) {
+                    return filePath + ending;
+                });
+
+            // only accept files which are part of the structure mapping
+            var found = candidates.filter(function(candidate) {
+                return Object.keys($this.structures).some(function(structureType) {
+                    return Object.keys($this.structures[structureType]).some(function(id) {
+                        return $this.structures[structureType][id] === candidate;
+                    });
+                });
+            });
+
+            return found.length > 0 ? found[0] : null;
+        };
+
+        /**
+         * Get the full file path for a structure id.
+         * structure id's must start with the name of a known pattern type like "molecules-" or "atoms-".
+         *
+         * @memberOf Conductor.Conductor
+         * @function getFilePathFromName
+         *
+         * @private
+         * @param {string} id
+         *
+         * @returns {string} absolute file path
+         */
+        this.getFilePathFromName = function(id) {
+            var $this = this,
+                filePath = null;
+
+            Object.keys($this.structures).forEach(function(structureType) {
+                if(filePath === null && id.substr(0, structureType.length + 1) === structureType + '-' && $this.structures[structureType][id]) {
+                    filePath = $this.structures[structureType][id];
+                }
+            });
+
+            return filePath;
+        };
+
+        /**
+         * Get the pattern types and their absolute directories.
+         * Uses the {@link Conductor.defaultOptions.patternTypes patternTypes} option or discovers the types from the
+         * directories in the pattern directory.
+         *
+         * @memberOf Conductor.Conductor
+         * @function getPatternTypes
+         * @private
+         *
+         * @returns {Promise} Resolves with a map of pattern types to absolute directory paths
+         */
+        this.getPatternTypes = function() {
+            var $this = this,
+                deferred = Q.defer(),
+                patternTypes = {};
+
+            if($this.options.patternTypes) {
+                Object.keys($this.options.patternTypes).forEach(function(structureType) {
+                    patternTypes[structureType] = path.resolve($this.options.patternDir, $this.options.patternTypes[structureType]);
+                });
+                deferred.resolve(patternTypes);
+                return deferred.promise;
+            }
+
+            fs.readdir($this.options.patternDir, function(err, files) {
+                if(err) {
+                    deferred.reject(err);
+                    return;
+                }
+
+                Q.all(files.map(function(filename) {
+                    // skip dot-files and underscore directories like _data
+                    if(filename.substr(0, 1) === '.' || filename.substr(0, 1) === '_') {
+                        return null;
+                    }
+
+                    // entries which can not be read like broken symlinks are skipped
+                    var dir = path.join($this.options.patternDir, filename),
+                        statDeferred = Q.defer();
+                    fs.stat(dir, function(err, stats) {
+                        if(!err && stats.isDirectory()) {
+                            patternTypes[filename.replace(/^[0-9]+-/, '')] = dir;
+                        }
+                        statDeferred.resolve();
+                    });
+
+                    return statDeferred.promise;
+                })).then(function() {
+                    deferred.resolve(patternTypes);
+                });
+            });
+
+            return deferred.promise;
+        };
+
+        /**
+         * Get the id name for a structure.
+         *
+         * @memberOf Conductor.Conductor
+         * @function getNameFromFilePath
+         * @private
+         *
+         * @param {string} structureType
+         * @param {string} filePath
+         * @param {string} [fileEnding] Defaults to the template file ending of the file
+         *
+         * @returns {string} name
+         */
+        this.getNameFromFilePath = function(structureType, filePath, fileEnding) {
+            var ending = fileEnding || this.getTemplateEnding(filePath),
+                parts = ending ? new RegExp('([0-9]+)-(.*?)' + ending.replace('.', '\\.')).exec(filePath) : null;
+
+            if(!parts || parts.length < 2) {
+                return null;
+            }
+
+            return structureType + "-" + parts[2];
+        };
+
+        /**
+         * Add a template or data file of a pattern type to the mappings.
+         *
+         * @function registerPatternFile
+         * @memberOf Conductor.Conductor
+         * @private
+         *
+         * @param {string} structureType
+         * @param {string} file
+         *
+         * @returns {string|null} Id of the template or null if the file is no template
+         */
+        this.registerPatternFile = function(structureType, file) {
+            var filename = path.basename(file);
+
+            if(Metadata.isSidecarFile(filename)) {
+                return null;
+            }
+
+            if(this.getTemplateEnding(filename) !== null) {
+                var idName = this.getNameFromFilePath(structureType, filename);
+                if(idName !== null) {
+                    this.structures[structureType][idName] = file;
+                }
+                return idName;
+            }
+
+            if(path.extname(filename) === '.json') {
+                var dataIdName = this.getNameFromFilePath(structureType, filename, '.json');
+                if(dataIdName !== null) {
+                    var dataIdParts = dataIdName.split('~');
+                    this.addDataFile(dataIdParts[0], dataIdParts[1] || null, file);
+                }
+            }
+
+            return null;
+        };
+
+        /**
+         * Add a data file of a start template to the mappings.
+         * Data files of the start templates are named like the template, so they are added for every template file ending.
+         *
+         * @function registerStartDataFile
+         * @memberOf Conductor.Conductor
+         * @private
+         *
+         * @param {string} file
+         */
+        this.registerStartDataFile = function(file) {
+            if(Metadata.isSidecarFile(file)) {
+                return;
+            }
+
+            var $this = this,
+                nameParts = path.basename(file, '.json').split('~');
+
+            this.getTemplateEndings().forEach(function(ending) {
+                $this.addDataFile(nameParts[0] + ending, nameParts[1] || null, file);
+            });
+        };
+
+        /**
+         * Build the mapping of pattern ids to template files for a pattern type.
+         * Patternlab data files next to the templates are collected in the {@link Conductor.Conductor.dataFiles dataFiles} map.
+         *
+         * @function recursiveBuildStructureMapping
+         * @memberOf Conductor.Conductor
+         * @private
+         *
+         * @param {string} structureType
+         * @param {string} base
+         */
+        this.recursiveBuildStructureMapping = function(structureType, base) {
+            var $this = this,
+                deferred = Q.defer();
+
+            fs.readdir(base, function(err, files) {
+                if(err) {
+                    deferred.reject(err);
+                    return;
+                }
+
+                var qList = [];
+                files.forEach(function(filename) {
+                    // in general skip dot-files
+                    if(filename.substr(0, 1) === '.') {
+                        return;
+                    }
+
+                    var innerDeferred = Q.defer();
+                    qList.push(innerDeferred.promise);
+
+                    // add file or descent
+                    var newPath = path.join(base, filename);
+                    fs.stat(newPath, function(err, stats) {
+                        if(err) {
+                            innerDeferred.resolve();
+                        } else if(stats.isFile()) {
+                            $this.registerPatternFile(structureType, newPath);
+                            innerDeferred.resolve();
+                        } else if(stats.isDirectory()) {
+                            $this.recursiveBuildStructureMapping(structureType, newPath).then(function() {
+                                innerDeferred.resolve();
+                            }, function(err) {
+                                innerDeferred.reject(err);
+                            });
+                        } else {
+                            innerDeferred.resolve();
+                        }
+                    });
+                });
+
+                Q.allSettled(qList).then(function() {
+                    deferred.resolve();
+                });
+            });
+
+            return deferred.promise;
+        };
+
+        /**
+         * Queue the parse jobs of the start templates.
+         *
+         * @function queueStartTemplates
+         * @memberOf Conductor.Conductor
+         * @private
+         *
+         * @returns {Promise} Resolved when all start templates are queued
+         */
+        this.queueStartTemplates = function() {
+            var $this = this,
+                deferred = Q.defer();
+
+            if($this.options.startDir && $this.options.startDir.length > 0) {
+                fs.readdir($this.options.startDir, function(err, files) {
+                    if(err) {
+                        deferred.reject(err);
+                        return;
+                    }
+
+                    files.forEach(function(filename) {
+                        if(path.extname(filename) === '.json') {
+                            $this.registerStartDataFile(path.join($this.options.startDir, filename));
+                        }
+                    });
+
+                    var templates = files.filter(function(filename) {
+                        return $this.getTemplateEnding(filename) !== null;
+                    });
+
+                    if(templates.length === 0) {
+                        $this.diagnostics.warning('no-start-templates', 'No templates with the ending ' +
+                            $this.getTemplateEndings().join(', ') + ' found in the start directory.', { file: $this.options.startDir });
+                    }
+
+                    templates.forEach(function(filename) {
+                        var tplParser = $this.createParser(path.join($this.options.startDir, filename));
+                        $this.startParser(filename, tplParser);
+                    });
+
+                    deferred.resolve();
+                });
+            } else if($this.options.startFile && $this.options.startFile.length > 0) {
+                var startDataFile = $this.options.startFile.substr(0, $this.options.startFile.length - path.extname($this.options.startFile).length) + '.json';
+                $this.addDataFile($this.options.startFile, null, startDataFile);
+
+                var tplParser = $this.createParser($this.options.startFile);
+                $this.startParser($this.options.startFile, tplParser);
+                deferred.resolve();
+            } else {
+                deferred.reject(new Error('Neither startFile nor startDir given.'));
+            }
+
+            return deferred.promise;
+        };
+
+        /**
+         * Get the global data file.
+         *
+         * @function getGlobalDataFile
+         * @memberOf Conductor.Conductor
+         * @private
+         *
+         * @returns {string}
+         */
+        this.getGlobalDataFile = function() {
+            return path.resolve(this.options.dataFile || path.join(this.options.patternDir, '..', '_data', 'data.json'));
+        };
+
+        /**
+         * Get the pattern type of a file in the pattern directory.
+         *
+         * @function getStructureTypeFromPath
+         * @memberOf Conductor.Conductor
+         * @private
+         *
+         * @param {string} file
+         *
+         * @returns {string|null}
+         */
+        this.getStructureTypeFromPath = function(file) {
+            var $this = this,
+                found = null;
+
+            Object.keys($this.patternTypeDirs).forEach(function(structureType) {
+                if(file.indexOf(path.resolve($this.patternTypeDirs[structureType]) + path.sep) === 0) {
+                    found = structureType;
+                }
+            });
+
+            return found;
+        };
+
+        /**
+         * Check if the file is located directly in the start directory.
+         *
+         * @function isStartDirFile
+         * @memberOf Conductor.Conductor
+         * @private
+         *
+         * @param {string} file
+         *
+         * @returns {boolean}
+         */
+        this.isStartDirFile = function(file) {
+            return !!this.options.startDir && path.dirname(file) === path.resolve(this.options.startDir);
+        };
+
+        /**
+         * Get the ids of all nodes using the given template or data file.
+         *
+         * @function getNodesByFile
+         * @memberOf Conductor.Conductor
+         * @private
+         *
+         * @param {string} file
+         *
+         * @returns {string[]}
+         */
+        this.getNodesByFile = function(file) {
+            var $this = this;
+
+            return Object.keys($this.handler.storage).filter(function(id) {
+                return $this.getNodeFiles(id).indexOf(file) !== -1;
+            });
+        };
+
+        /**
+         * Get the template, data and metadata files used by a node.
+         *
+         * @function getNodeFiles
+         * @memberOf Conductor.Conductor
+         * @private
+         *
+         * @param {string} id
+         *
+         * @returns {string[]}
+         */
+        this.getNodeFiles = function(id) {
+            var crNode = this.handler.getNodeById(id),
+                variantFiles = this.variantFiles[id] || {},
+                files = [path.resolve(crNode.templateFile)];
+
+            if(this.dataFiles[id]) {
+                files.push(path.resolve(this.dataFiles[id]));
+            }
+
+            Object.keys(variantFiles).forEach(function(variantName) {
+                files.push(path.resolve(variantFiles[variantName]));
+            });
+
+            return files.concat(Metadata.getMetadataFiles(path.resolve(crNode.templateFile)));
+        };
+
+        /**
+         * Get the ids of all nodes including the given node.
+         *
+         * @function getParentIds
+         * @memberOf Conductor.Conductor
+         * @private
+         *
+         * @param {string} id
+         *
+         * @returns {string[]}
+         */
+        this.getParentIds = function(id) {
+            var $this = this;
+
+            return Object.keys($this.includeGraph).filter(function(parentId) {
+                return parentId !== id && $this.includeGraph[parentId].hasOwnProperty(id);
+            });
+        };
+
+        /**
+         * Parse the template of a known node again.
+         * The node keeps its place in the storage, all previous fields, relations and diagnostics are dropped.
+         * If the node changed from or to being an own element the including nodes are parsed again as well.
+         *
+         * @function reparseNode
+         * @memberOf Conductor.Conductor
+         * @private
+         *
+         * @param {string} id
+         */
+        this.reparseNode = function(id) {
+            var $this = this,
+                crNode = $this.handler.getNodeById(id),
+                wasOwnElement = !crNode.info || crNode.info.isOwnElement !== false;
+
+            $this.diagnostics.removeByFile($this.getNodeFiles(id));
+            delete $this.includeGraph[id];
+            Object.keys($this.unresolvedIncludes).forEach(function(unresolvedId) {
+                delete $this.unresolvedIncludes[unresolvedId][id];
+            });
+
+            crNode.reset();
+            $this.nodePromises[id] = $this.queue.push(function() {
+                return $this.runParser(crNode, $this.createParser(crNode.templateFile));
+            });
+
+            $this.nodePromises[id].then(function() {
+                if(wasOwnElement !== (crNode.info.isOwnElement !== false)) {
+                    $this.getParentIds(id).forEach(function(parentId) {
+                        $this.reparseNode(parentId);
+                    });
+                }
+            });
+        };
+
+        /**
+         * Remove a node and parse all nodes including it again.
+         *
+         * @function removeNode
+         * @memberOf Conductor.Conductor
+         * @private
+         *
+         * @param {string} id
+         */
+        this.removeNode = function(id) {
+            var $this = this,
+                parentIds = $this.getParentIds(id);
+
+            $this.diagnostics.removeByFile($this.getNodeFiles(id));
+            $this.handler.removeNode(id);
+            delete $this.nodePromises[id];
+            delete $this.includeGraph[id];
+
+            parentIds.forEach(function(parentId) {
+                if($this.handler.hasNode(parentId)) {
+                    $this.reparseNode(parentId);
+                }
+            });
+        };
+
+        /**
+         * Handle an added or changed file in watch mode.
+         *
+         * @function handleFileChange
+         * @memberOf Conductor.Conductor
+         * @private
+         *
+         * @param {string} file
+         */
+        this.handleFileChange = function(file) {
+            var $this = this,
+                structureType = $this.getStructureTypeFromPath(file),
+                isStartDirFile = $this.isStartDirFile(file);
+
+            // changed global data affects all nodes, reading it is queued so the update waits for it
+            if(file === $this.getGlobalDataFile()) {
+                $this.queue.push(function() {
+                    var deferred = Q.defer();
+
+                    Data.readDataFile(file, function(err, data) {
+                        $this.diagnostics.removeByFile([file]);
+                        if(err) {
+                            $this.diagnostics.error('invalid-data', err.message, { file: file });
+                        }
+
+                        $this.globalData = data;
+                        Object.keys($this.handler.storage).forEach(function(id) {
+                            $this.reparseNode(id);
+                        });
+                        deferred.resolve();
+                    });
+
+                    return deferred.promise;
+                });
+                return;
+            }
+
+            if(structureType === null && !isStartDirFile) {
+                return;
+            }
+
+            // keep the mappings up to date
+            var addedId = null;
+            if(structureType !== null) {
+                addedId = $this.registerPatternFile(structureType, file);
+            }
+            if(isStartDirFile && path.extname(file) === '.json') {
+                $this.registerStartDataFile(file);
+            }
+
+            var affectedIds = $this.getNodesByFile(file);
+            affectedIds.forEach(function(id) {
+                $this.reparseNode(id);
+            });
+
+            // a new pattern resolves the includes that failed before
+            if(addedId !== null && $this.unresolvedIncludes[addedId]) {
+                Object.keys($this.unresolvedIncludes[addedId]).forEach(function(parentId) {
+                    if(affectedIds.indexOf(parentId) === -1 && $this.handler.hasNode(parentId)) {
+                        $this.reparseNode(parentId);
+                    }
+                });
+                delete $this.unresolvedIncludes[addedId];
+            }
+
+            // a new start template is parsed right away
+            var filename = path.basename(file);
+            if(isStartDirFile && $this.getTemplateEnding(filename) !== null && !$this.handler.hasNode(filename)) {
+                $this.startParser(filename, $this.createParser(file));
+            }
+        };
+
+        /**
+         * Handle a removed file in watch mode.
+         *
+         * @function handleFileRemove
+         * @memberOf Conductor.Conductor
+         * @private
+         *
+         * @param {string} file
+         */
+        this.handleFileRemove = function(file) {
+            var $this = this,
+                affectedIds = $this.getNodesByFile(file);
+
+            // remove the file from the mappings
+            Object.keys($this.structures).forEach(function(structureType) {
+                Object.keys($this.structures[structureType]).forEach(function(id) {
+                    if(path.resolve($this.structures[structureType][id]) === file) {
+                        delete $this.structures[structureType][id];
+                    }
+                });
+            });
+            Object.keys($this.dataFiles).forEach(function(id) {
+                if(path.resolve($this.dataFiles[id]) === file) {
+                    delete $this.dataFiles[id];
+                }
+            });
+            Object.keys($this.variantFiles).forEach(function(id) {
+                Object.keys($this.variantFiles[id]).forEach(function(variantName) {
+                    if(path.resolve($this.variantFiles[id][variantName]) === file) {
+                        delete $this.variantFiles[id][variantName];
+                    }
+                });
+            });
+            $this.diagnostics.removeByFile([file]);
+
+            affectedIds.forEach(function(id) {
+                var crNode = $this.handler.getNodeById(id);
+                if(!crNode) {
+                    return;
+                }
+
+                if(path.resolve(crNode.templateFile) === file) {
+                    $this.removeNode(id);
+                } else {
+                    $this.reparseNode(id);
+                }
+            });
+        };
+    }
+    util.inherits(Conductor, events.EventEmitter);
+
+    /**
+     * Start the hierarchical parsing process.
+     * The `end` event is emitted exactly once after the last parse job finished. Templates which can not be read and
+     * circular includes with `circularIncludes: 'fail'` are reported in the {@link Conductor.Conductor.diagnostics diagnostics}
+     * and fail their parse job, the other jobs continue. If any job failed the promise is rejected with an error carrying
+     * the failures in `errors`. Failed parse jobs emit no `error` event, it is only emitted for failures of the
+     * pattern mapping or the start templates and only if a listener is attached.
+     *
+     * @function start
+     * @memberOf Conductor.Conductor
+     *
+     * @returns {Promise} Resolved with the {@link Builder.NodeStorage node storage} or rejected if a parse job failed
+     */
+    Conductor.prototype.start = function() {
+        var $this = this;
+
+        // build file mappings
+        var inits = [],
+            mappingDeferred = Q.defer();
+        inits.push(mappingDeferred.promise);
+        $this.getPatternTypes().then(function(patternTypes) {
+            $this.patternTypeDirs = patternTypes;
+            return Q.allSettled(Object.keys(patternTypes).map(function(structureType) {
+                $this.structures[structureType] = {};
+                return $this.recursiveBuildStructureMapping(structureType, patternTypes[structureType]);
+            }));
+        }).then(function() {
+            mappingDeferred.resolve();
+        }, function(err) {
+            $this.emitError(err);
+            mappingDeferred.resolve();
+        });
+
+        // load global data
+        var dataFile = $this.options.dataFile || path.join($this.options.patternDir, '..', '_data', 'data.json'),
+            dataDeferred = Q.defer();
+        inits.push(dataDeferred.promise);
+        Data.readDataFile(dataFile, function(err, data) {
+            if(err) {
+                $this.diagnostics.error('invalid-data', err.message, { file: dataFile });
+            }
+
+            $this.globalData = data;
+            dataDeferred.resolve();
         });
+
+        // start initial parsers and wait for the last job
+        return Q.allSettled(inits).then(function() {
+            return $this.queueStartTemplates();
+        }).then(function() {
+            return $this.queue.whenIdle();
+        }).then(function() {
+            $this.emit('end');
+
+            var failures = $this.queue.failures;
+            if(failures.length > 0) {
+                var error = new Error(failures.length + ' of ' + $this.queue.finished + ' parse jobs failed.');
+                error.errors = failures;
+                throw error;
+            }
+
+            return $this.handler;
+        }, function(err) {
+            $this.emitError(err);
+            throw err;
+        });
+    };
+
+    /**
+     * Watch the pattern directory, the start directory and the global data file, if its directory exists, after
+     * {@link Conductor.Conductor.start start} finished. Changed templates and data files are parsed again, added and removed files update the mappings.
+     * An `update` event is emitted once all resulting parse jobs are finished.
+     *
+     * @fires Conductor#update
+     *
+     * @function watch
+     * @memberOf Conductor.Conductor
+     *
+     * @returns {Watcher.Watcher} Call `close()` on the watcher to stop watching
+     */
+    Conductor.prototype.watch = function() {
+        var $this = this,
+            dirs = [path.resolve($this.options.patternDir)],
+            addDir = function(dir) {
+                var isWatched = dirs.some(function(watchedDir) {
+                    return dir === watchedDir || dir.indexOf(watchedDir + path.sep) === 0;
+                });
+                if(!isWatched) {
+                    dirs.push(dir);
+                }
+            };
+
+        if($this.options.startDir) {
+            addDir(path.resolve($this.options.startDir));
+        }
+
+        // projects without a global data directory are watched without it
+        var dataDir = path.dirname($this.getGlobalDataFile());
+        if(fs.existsSync(dataDir)) {
+            addDir(dataDir);
+        }
+
+        var watcher = new Watcher(dirs),
+            emitUpdate = function(file) {
+                $this.queue.whenIdle().then(function() {
+                    $this.emit('update', file);
+                });
+            };
+
+        watcher.on('change', function(file) {
+            $this.handleFileChange(file);
+            emitUpdate(file);
+        });
+
+        watcher.on('remove', function(file) {
+            $this.handleFileRemove(file);
+            emitUpdate(file);
+        });
+
+        watcher.on('error', function(err) {
+            $this.emitError(err);
+        });
+
+        watcher.start();
+        return watcher;
     };
 
     // Propagate conductor class
@@ -0,0 +1,232 @@
+/**
+ * @module patternlab2domain
+ * @author Moritz Spindelhirn [m.spindelhirn@cashiers-check.de]
+ * @namespace Data
+ */
+(function(module) {
+    'use strict';
+
+    var fs = require('fs');
+
+    /**
+     * Types of sample values found in the patternlab data files.
+     *
+     * @memberOf Data
+     * @namespace Data.sampleTypes
+     *
+     * @type {{}}
+     */
+    var sampleTypes = {
+
+        /**
+         * @memberOf Data.sampleTypes
+         * @type {string}
+         */
+        STRING          : 'string',
+
+        /**
+         * @memberOf Data.sampleTypes
+         * @type {string}
+         */
+        NUMBER          : 'number',
+
+        /**
+         * @memberOf Data.sampleTypes
+         * @type {string}
+         */
+        BOOLEAN         : 'boolean',
+
+        /**
+         * String looking like an absolute, protocol relative or relative link
+         *
+         * @memberOf Data.sampleTypes
+         * @type {string}
+         */
+        URL             : 'url',
+
+        /**
+         * String pointing to an image file
+         *
+         * @memberOf Data.sampleTypes
+         * @type {string}
+         */
+        IMAGE           : 'image',
+
+        /**
+         * Array of scalar values
+         *
+         * @memberOf Data.sampleTypes
+         * @type {string}
+         */
+        ARRAY           : 'array',
+
+        /**
+         * Array where every item is an object
+         *
+         * @memberOf Data.sampleTypes
+         * @type {string}
+         */
+        OBJECT_ARRAY    : 'objectArray',
+
+        /**
+         * @memberOf Data.sampleTypes
+         * @type {string}
+         */
+        OBJECT          : 'object'
+    };
+
+    var imageRegex = /\.(jpe?g|png|gif|svg|webp)(\?.*)?$/i,
+        urlRegex = /^((https?:)?\/\/|mailto:|tel:|\/|\.\.?\/|#)/i;
+
+    /**
+     * Infer the sample type of a value from a data file.
+     *
+     * @memberOf Data
+     * @function inferSampleType
+     *
+     * @param {*} value
+     *
+     * @returns {string|null} One of {@link Data.sampleTypes} or null if there is no value
+     */
+    function inferSampleType(value) {
+        switch(true) {
+            case (value === null || value === undefined):
+                return null;
+
+            case (typeof value === 'boolean'):
+                return sampleTypes.BOOLEAN;
+
+            case (typeof value === 'number'):
+                return sampleTypes.NUMBER;
+
+            case (typeof value === 'string'):
+                if(imageRegex.test(value)) {
+                    return sampleTypes.IMAGE;
+                }
+                if(urlRegex.test(value)) {
+                    return sampleTypes.URL;
+                }
+                return sampleTypes.STRING;
+
+            case (Array.isArray(value)):
+                if(value.length > 0 && value.every(function(item) { return item !== null && typeof item === 'object' && !Array.isArray(item); })) {
+                    return sampleTypes.OBJECT_ARRAY;
+                }
+                return sampleTypes.ARRAY;
+
+            default:
+                return sampleTypes.OBJECT;
+        }
+    }
+
+    /**
+     * Look up a (dotted) name in a stack of contexts the same way mustache does.
+     * The innermost context is searched first.
+     *
+     * @memberOf Data
+     * @function lookup
+     *
+     * @param {Array} contextStack
+     * @param {string} name
+     *
+     * @returns {{found: boolean, value: *}}
+     */
+    function lookup(contextStack, name) {
+        var names = name.split('.');
+
+        for(var i = contextStack.length - 1; i >= 0; i--) {
+            var context = contextStack[i];
+            if(context === null || typeof context !== 'object' || !context.hasOwnProperty(names[0])) {
+                continue;
+            }
+
+            var value = context;
+            for(var j = 0; j < names.length; j++) {
+                if(value === null || typeof value !== 'object' || !value.hasOwnProperty(names[j])) {
+                    return { found: false, value: undefined };
+                }
+                value = value[names[j]];
+            }
+
+            return { found: true, value: value };
+        }
+
+        return { found: false, value: undefined };
+    }
+
+    /**
+     * Attach the sample values of the data to the fields.
+     * Nested fields of sections are looked up in the first item of an array or in the object of the section.
+     *
+     * @memberOf Data
+     * @function applySampleData
+     *
+     * @param {Parser.Field[]} fields
+     * @param {{}} data
+     * @param {Array} [contextStack] Used internally for nested sections
+     */
+    function applySampleData(fields, data, contextStack) {
+        contextStack = contextStack || [data];
+
+        fields.forEach(function(field) {
+            var result = lookup(contextStack, field.name),
+                nestedStack = contextStack;
+
+            if(result.found) {
+                var type = inferSampleType(result.value);
+                field.sample = {
+                    type: type,
+                    value: (type === sampleTypes.OBJECT || type === sampleTypes.OBJECT_ARRAY) ? undefined : result.value
+                };
+
+                if(type === sampleTypes.OBJECT_ARRAY) {
+                    nestedStack = contextStack.concat([result.value[0]]);
+                } else if(type === sampleTypes.OBJECT) {
+                    nestedStack = contextStack.concat([result.value]);
+                }
+            }
+
+            if(field.fields.length > 0) {
+                applySampleData(field.fields, data, nestedStack);
+            }
+        });
+    }
+
+    /**
+     * Read and parse a JSON data file.
+     * A missing file results in an empty data object.
+     *
+     * @memberOf Data
+     * @function readDataFile
+     *
+     * @param {string} file
+     * @param {function} fn Called with an error and the parsed data
+     */
+    function readDataFile(file, fn) {
+        if(!file) {
+            fn(null, {});
+            return;
+        }
+
+        fs.readFile(file, function(err, content) {
+            if(err) {
+                fn(err.code === 'ENOENT' ? null : err, {});
+                return;
+            }
+
+            try {
+                fn(null, JSON.parse(content.toString()));
+            } catch (e) {
+                fn(new Error('Invalid JSON in data file ' + file + ': ' + e.message), {});
+            }
+        });
+    }
+
+    module.exports = {
+        sampleTypes     : sampleTypes,
+        inferSampleType : inferSampleType,
+        lookup          : lookup,
+        applySampleData : applySampleData,
+        readDataFile    : readDataFile
+    };
+})(module);
@@ -0,0 +1,361 @@
+/**
+ * @module patternlab2domain
+ * @author Moritz Spindelhirn [m.spindelhirn@cashiers-check.de]
+ * @namespace Diagnostics
+ */
+(function(module) {
+    'use strict';
+
+    var fs = require('fs');
+
+    /**
+     * Severities of diagnostics.
+     *
+     * @memberOf Diagnostics
+     * @namespace Diagnostics.severities
+     *
+     * @type {{}}
+     */
+    var severities = {
+
+        /**
+         * @memberOf Diagnostics.severities
+         * @type {string}
+         */
+        ERROR   : 'error',
+
+        /**
+         * @memberOf Diagnostics.severities
+         * @type {string}
+         */
+        WARNING : 'warning',
+
+        /**
+         * @memberOf Diagnostics.severities
+         * @type {string}
+         */
+        INFO    : 'info'
+    };
+
+    /**
+     * Single problem found while building the domain model.
+     *
+     * @memberOf Diagnostics
+     * @namespace Diagnostics.Diagnostic
+     *
+     * @constructor
+     * @param {string} severity One of {@link Diagnostics.severities}
+     * @param {string} code Short machine readable identifier like `unresolved-include`
+     * @param {string} message
+     * @param {{file: string, line: Number, column: Number}} [location]
+     */
+    function Diagnostic(severity, code, message, location) {
+        location = location || {};
+
+        /**
+         * @name severity
+         * @memberOf Diagnostics.Diagnostic
+         *
+         * @type {string}
+         */
+        this.severity = severity;
+
+        /**
+         * @name code
+         * @memberOf Diagnostics.Diagnostic
+         *
+         * @type {string}
+         */
+        this.code = code;
+
+        /**
+         * @name message
+         * @memberOf Diagnostics.Diagnostic
+         *
+         * @type {string}
+         */
+        this.message = message;
+
+        /**
+         * File the problem was found in
+         *
+         * @name file
+         * @memberOf Diagnostics.Diagnostic
+         *
+         * @type {string|null}
+         */
+        this.file = location.file || null;
+
+        /**
+         * 1-based line number
+         *
+         * @name line
+         * @memberOf Diagnostics.Diagnostic
+         *
+         * @type {Number|null}
+         */
+        this.line = location.line || null;
+
+        /**
+         * 1-based column number
+         *
+         * @name column
+         * @memberOf Diagnostics.Diagnostic
+         *
+         * @type {Number|null}
+         */
+        this.column = location.column || null;
+    }
+
+    /**
+     * Format the diagnostic as a single line like `file:line:column error message [code]`.
+     *
+     * @function toString
+     * @memberOf Diagnostics.Diagnostic
+     *
+     * @returns {string}
+     */
+    Diagnostic.prototype.toString = function() {
+        var position = '';
+
+        if(this.file) {
+            position = this.file;
+            if(this.line) {
+                position += ':' + this.line + ':' + this.column;
+            }
+            position += ' ';
+        }
+
+        return position + this.severity + ' ' + this.message + ' [' + this.code + ']';
+    };
+
+    /**
+     * Collector for all diagnostics of a run.
+     *
+     * @memberOf Diagnostics
+     * @namespace Diagnostics.Diagnostics
+     *
+     * @constructor
+     */
+    function Diagnostics() {
+
+        /**
+         * All collected diagnostics in the order they were reported.
+         *
+         * @name items
+         * @memberOf Diagnostics.Diagnostics
+         *
+         * @type {Diagnostics.Diagnostic[]}
+         */
+        this.items = [];
+    }
+
+    /**
+     * Add a diagnostic to the collector.
+     *
+     * @throws {TypeError} Throws an {@link TypeError} if the given object is not an instance of {@link Diagnostics.Diagnostic}.
+     *
+     * @function add
+     * @memberOf Diagnostics.Diagnostics
+     *
+     * @param {Diagnostics.Diagnostic} diagnostic
+     */
+    Diagnostics.prototype.add = function(diagnostic) {
+        if(!(diagnostic instanceof Diagnostic)) {
+            throw new TypeError('Diagnostics must be instances of Diagnostic.');
+        }
+
+        this.items.push(diagnostic);
+    };
+
+    /**
+     * Shortcut to add an error.
+     *
+     * @function error
+     * @memberOf Diagnostics.Diagnostics
+     *
+     * @param {string} code
+     * @param {string} message
+     * @param {{file: string, line: Number, column: Number}} [location]
+     */
+    Diagnostics.prototype.error = function(code, message, location) {
+        this.add(new Diagnostic(severities.ERROR, code, message, location));
+    };
+
+    /**
+     * Shortcut to add a warning.
+     *
+     * @function warning
+     * @memberOf Diagnostics.Diagnostics
+     *
+     * @param {string} code
+     * @param {string} message
+     * @param {{file: string, line: Number, column: Number}} [location]
+     */
+    Diagnostics.prototype.warning = function(code, message, location) {
+        this.add(new Diagnostic(severities.WARNING, code, message, location));
+    };
+
+    /**
+     * Shortcut to add an info.
+     *
+     * @function info
+     * @memberOf Diagnostics.Diagnostics
+     *
+     * @param {string} code
+     * @param {string} message
+     * @param {{file: string, line: Number, column: Number}} [location]
+     */
+    Diagnostics.prototype.info = function(code, message, location) {
+        this.add(new Diagnostic(severities.INFO, code, message, location));
+    };
+
+    /**
+     * Remove all diagnostics reported for one of the given files.
+     * Used to drop outdated diagnostics before a file is parsed again.
+     *
+     * @function removeByFile
+     * @memberOf Diagnostics.Diagnostics
+     *
+     * @param {string[]} files
+     */
+    Diagnostics.prototype.removeByFile = function(files) {
+        this.items = this.items.filter(function(diagnostic) {
+            return files.indexOf(diagnostic.file) === -1;
+        });
+    };
+
+    /**
+     * Count the diagnostics with the given severity.
+     *
+     * @function count
+     * @memberOf Diagnostics.Diagnostics
+     *
+     * @param {string} severity
+     *
+     * @returns {Number}
+     */
+    Diagnostics.prototype.count = function(severity) {
+        return this.items.filter(function(diagnostic) {
+            return diagnostic.severity === severity;
+        }).length;
+    };
+
+    /**
+     * Return true if at least one error was collected.
+     *
+     * @function hasErrors
+     * @memberOf Diagnostics.Diagnostics
+     *
+     * @returns {boolean}
+     */
+    Diagnostics.prototype.hasErrors = function() {
+        return this.count(severities.ERROR) > 0;
+    };
+
+    /**
+     * Human readable summary like `2 errors, 1 warning, 0 infos`.
+     *
+     * @function summary
+     * @memberOf Diagnostics.Diagnostics
+     *
+     * @returns {string}
+     */
+    Diagnostics.prototype.summary = function() {
+        var $this = this;
+
+        return [severities.ERROR, severities.WARNING, severities.INFO].map(function(severity) {
+            var count = $this.count(severity);
+            return count + ' ' + severity + (count === 1 ? '' : 's');
+        }).join(', ');
+    };
+
+    /**
+     * Machine readable representation of all diagnostics.
+     *
+     * @function toJSON
+     * @memberOf Diagnostics.Diagnostics
+     *
+     * @returns {{summary: {}, diagnostics: Diagnostics.Diagnostic[]}}
+     */
+    Diagnostics.prototype.toJSON = function() {
+        return {
+            summary: {
+                errors: this.count(severities.ERROR),
+                warnings: this.count(severities.WARNING),
+                infos: this.count(severities.INFO)
+            },
+            diagnostics: this.items
+        };
+    };
+
+    /**
+     * Write all diagnostics as JSON to a file.
+     *
+     * @function write
+     * @memberOf Diagnostics.Diagnostics
+     *
+     * @param {string} file
+     * @param {function} fn
+     */
+    Diagnostics.prototype.write = function(file, fn) {
+        if(typeof fn != 'function') {
+            fn = function() {};
+        }
+
+        fs.writeFile(file, JSON.stringify(this, null, 4), function(err) {
+            fn(err);
+        });
+    };
+
+    /**
+     * Convert a character offset in a template to a 1-based line and column.
+     *
+     * @memberOf Diagnostics
+     * @function getPosition
+     *
+     * @param {string} content
+     * @param {Number} offset
+     *
+     * @returns {{line: Number, column: Number}}
+     */
+    function getPosition(content, offset) {
+        var lines = content.substr(0, offset).split('\n');
+
+        return {
+            line: lines.length,
+            column: lines[lines.length - 1].length + 1
+        };
+    }
+
+    /**
+     * Get the offset of a line and column in the content.
+     *
+     * @memberOf Diagnostics
+     * @function getOffset
+     *
+     * @param {string} content
+     * @param {Number} line Line starting with 1
+     * @param {Number} column Column starting with 1
+     *
+     * @returns {Number}
+     */
+    function getOffset(content, line, column) {
+        var lines = content.split('\n'),
+            offset = 0;
+
+        for(var i = 0; i < line - 1 && i < lines.length; i++) {
+            offset += lines[i].length + 1;
+        }
+
+        return offset + column - 1;
+    }
+
+    module.exports = {
+        Diagnostics : Diagnostics,
+        Diagnostic  : Diagnostic,
+        severities  : severities,
+        getPosition : getPosition,
+        getOffset   : getOffset
+    };
+})(module);
@@ -0,0 +1,373 @@
+/**
+ * @module patternlab2domain
+ * @author Moritz Spindelhirn [m.spindelhirn@cashiers-check.de]
+ * @namespace Diff
+ */
+(function(module) {
+    'use strict';
+
+    var fs = require('fs'),
+        model = require('./model');
+
+    /**
+     * Types of changes between two domain models.
+     *
+     * @memberOf Diff
+     * @namespace Diff.changeTypes
+     *
+     * @type {{}}
+     */
+    var changeTypes = {
+
+        /**
+         * @memberOf Diff.changeTypes
+         * @type {string}
+         */
+        ELEMENT_ADDED           : 'element-added',
+
+        /**
+         * @memberOf Diff.changeTypes
+         * @type {string}
+         */
+        ELEMENT_REMOVED         : 'element-removed',
+
+        /**
+         * @memberOf Diff.changeTypes
+         * @type {string}
+         */
+        FIELD_ADDED             : 'field-added',
+
+        /**
+         * @memberOf Diff.changeTypes
+         * @type {string}
+         */
+        FIELD_REMOVED           : 'field-removed',
+
+        /**
+         * @memberOf Diff.changeTypes
+         * @type {string}
+         */
+        FIELD_TYPE_CHANGED      : 'field-type-changed',
+
+        /**
+         * @memberOf Diff.changeTypes
+         * @type {string}
+         */
+        FIELD_ITERABLE_CHANGED  : 'field-iterable-changed',
+
+        /**
+         * @memberOf Diff.changeTypes
+         * @type {string}
+         */
+        RELATION_ADDED          : 'relation-added',
+
+        /**
+         * @memberOf Diff.changeTypes
+         * @type {string}
+         */
+        RELATION_REMOVED        : 'relation-removed',
+
+        /**
+         * @memberOf Diff.changeTypes
+         * @type {string}
+         */
+        RELATION_TARGET_CHANGED : 'relation-target-changed'
+    };
+
+    /**
+     * Single change between two domain models.
+     *
+     * @memberOf Diff
+     * @namespace Diff.Change
+     *
+     * @constructor
+     * @param {string} type One of {@link Diff.changeTypes}
+     * @param {boolean} breaking
+     * @param {string} element Id of the changed element
+     * @param {string|null} path Dotted path of the changed field or relation in the element
+     * @param {string} message
+     */
+    function Change(type, breaking, element, path, message) {
+
+        /**
+         * @name type
+         * @memberOf Diff.Change
+         *
+         * @type {string}
+         */
+        this.type = type;
+
+        /**
+         * Flag if content created for the old model may break with the new model
+         *
+         * @name breaking
+         * @memberOf Diff.Change
+         *
+         * @type {boolean}
+         */
+        this.breaking = breaking;
+
+        /**
+         * @name element
+         * @memberOf Diff.Change
+         *
+         * @type {string}
+         */
+        this.element = element;
+
+        /**
+         * @name path
+         * @memberOf Diff.Change
+         *
+         * @type {string|null}
+         */
+        this.path = path;
+
+        /**
+         * @name message
+         * @memberOf Diff.Change
+         *
+         * @type {string}
+         */
+        this.message = message;
+    }
+
+    /**
+     * Format the change as `breaking molecules-teaser.headline: Field removed.`.
+     *
+     * @memberOf Diff.Change
+     * @function toString
+     *
+     * @returns {string}
+     */
+    Change.prototype.toString = function() {
+        return (this.breaking ? 'breaking     ' : 'non-breaking ') +
+            this.element + (this.path ? '.' + this.path : '') + ': ' + this.message + ' [' + this.type + ']';
+    };
+
+    /**
+     * Map a list by the given key, the first entry of a key wins.
+     *
+     * @memberOf Diff
+     * @function mapByKey
+     * @private
+     *
+     * @param {{}[]} list
+     * @param {function} getKey
+     *
+     * @returns {{}}
+     */
+    function mapByKey(list, getKey) {
+        var map = {};
+
+        (list || []).forEach(function(entry) {
+            var key = getKey(entry);
+            if(!map.hasOwnProperty(key)) {
+                map[key] = entry;
+            }
+        });
+
+        return map;
+    }
+
+    /**
+     * Get the name of a relation in its element.
+     *
+     * @memberOf Diff
+     * @function getRelationName
+     * @private
+     *
+     * @param {{name: string, options: {}}} relation
+     *
+     * @returns {string}
+     */
+    function getRelationName(relation) {
+        return (relation.options && relation.options.name) || relation.name;
+    }
+
+    /**
+     * Map the relations of an element or section by their name.
+     * The same pattern may be included several times without a `cr:element` name, so every further relation with the
+     * same name is keyed with its occurrence like `organisms-header[2]`.
+     *
+     * @memberOf Diff
+     * @function mapRelations
+     * @private
+     *
+     * @param {{name: string, options: {}}[]} relations
+     *
+     * @returns {{}}
+     */
+    function mapRelations(relations) {
+        var map = {},
+            counts = {};
+
+        (relations || []).forEach(function(relation) {
+            var name = getRelationName(relation);
+
+            counts[name] = (counts[name] || 0) + 1;
+            map[counts[name] > 1 ? name + '[' + counts[name] + ']' : name] = relation;
+        });
+
+        return map;
+    }
+
+    /**
+     * Compare the fields and relations of two versions of an element or section.
+     *
+     * @memberOf Diff
+     * @function diffContainers
+     * @private
+     *
+     * @param {string} element Id of the element
+     * @param {string|null} prefix Path of the section
+     * @param {{fields: {}[], relations: {}[]}} oldContainer
+     * @param {{fields: {}[], relations: {}[]}} newContainer
+     * @param {Diff.Change[]} changes
+     */
+    function diffContainers(element, prefix, oldContainer, newContainer, changes) {
+        var toPath = function(name) {
+                return prefix ? prefix + '.' + name : name;
+            },
+            oldFields = mapByKey(oldContainer.fields, function(field) { return field.name; }),
+            newFields = mapByKey(newContainer.fields, function(field) { return field.name; }),
+            oldRelations = mapRelations(oldContainer.relations),
+            newRelations = mapRelations(newContainer.relations);
+
+        Object.keys(oldFields).forEach(function(name) {
+            var oldField = oldFields[name],
+                newField = newFields[name];
+
+            if(!newField) {
+                changes.push(new Change(changeTypes.FIELD_REMOVED, true, element, toPath(name), 'Field removed.'));
+                return;
+            }
+
+            // fields of models written before the versioned format have no type
+            if(oldField.options.type !== undefined && oldField.options.type !== newField.options.type) {
+                changes.push(new Change(changeTypes.FIELD_TYPE_CHANGED, true, element, toPath(name),
+                    'Type changed from `' + oldField.options.type + '` to `' + newField.options.type + '`.'));
+            }
+
+            if(!!oldField.options.iterable !== !!newField.options.iterable) {
+                changes.push(new Change(changeTypes.FIELD_ITERABLE_CHANGED, true, element, toPath(name),
+                    newField.options.iterable ? 'Field became iterable.' : 'Field is no longer iterable.'));
+            }
+
+            diffContainers(element, toPath(name), oldField, newField, changes);
+        });
+
+        Object.keys(newFields).forEach(function(name) {
+            if(!oldFields[name]) {
+                changes.push(new Change(changeTypes.FIELD_ADDED, false, element, toPath(name), 'Field added.'));
+            }
+        });
+
+        Object.keys(oldRelations).forEach(function(name) {
+            var newRelation = newRelations[name];
+
+            if(!newRelation) {
+                changes.push(new Change(changeTypes.RELATION_REMOVED, true, element, toPath(name),
+                    'Relation to `' + oldRelations[name].name + '` removed.'));
+            } else if(newRelation.name !== oldRelations[name].name) {
+                changes.push(new Change(changeTypes.RELATION_TARGET_CHANGED, true, element, toPath(name),
+                    'Relation target changed from `' + oldRelations[name].name + '` to `' + newRelation.name + '`.'));
+            }
+        });
+
+        Object.keys(newRelations).forEach(function(name) {
+            if(!oldRelations[name]) {
+                changes.push(new Change(changeTypes.RELATION_ADDED, false, element, toPath(name),
+                    'Relation to `' + newRelations[name].name + '` added.'));
+            }
+        });
+    }
+
+    /**
+     * Compare two domain models.
+     * Removed elements, fields and relations as well as type changes and iterable flips are breaking, additions are not.
+     *
+     * @memberOf Diff
+     * @function diffModels
+     *
+     * @param {{elements: {}[]}} oldModel
+     * @param {{elements: {}[]}} newModel
+     *
+     * @returns {Diff.Change[]}
+     */
+    function diffModels(oldModel, newModel) {
+        var changes = [],
+            oldElements = mapByKey(oldModel.elements, function(element) { return element.id; }),
+            newElements = mapByKey(newModel.elements, function(element) { return element.id; });
+
+        Object.keys(oldElements).sort().forEach(function(id) {
+            if(!newElements[id]) {
+                changes.push(new Change(changeTypes.ELEMENT_REMOVED, true, id, null, 'Element removed.'));
+                return;
+            }
+
+            diffContainers(id, null, oldElements[id], newElements[id], changes);
+        });
+
+        Object.keys(newElements).sort().forEach(function(id) {
+            if(!oldElements[id]) {
+                changes.push(new Change(changeTypes.ELEMENT_ADDED, false, id, null, 'Element added.'));
+            }
+        });
+
+        return changes;
+    }
+
+    /**
+     * Read a model file.
+     * Model files written before the versioned format get normalised ids.
+     *
+     * @memberOf Diff
+     * @function readModel
+     *
+     * @param {string} file
+     * @param {function} fn Called with an error or the model
+     */
+    function readModel(file, fn) {
+        fs.readFile(file, function(err, data) {
+            if(err) {
+                fn(new Error('Model file `' + file + '` can not be read: ' + err.message));
+                return;
+            }
+
+            var content;
+            try {
+                content = JSON.parse(data.toString());
+            } catch (e) {
+                fn(new Error('Invalid JSON in model file `' + file + '`: ' + e.message));
+                return;
+            }
+
+            if(!content || !Array.isArray(content.elements)) {
+                fn(new Error('Model file `' + file + '` contains no elements.'));
+                return;
+            }
+
+            if(content.schemaVersion > model.schemaVersion) {
+                fn(new Error('Model file `' + file + '` has the unsupported schema version ' + content.schemaVersion + '.'));
+                return;
+            }
+
+            if(!content.hasOwnProperty('schemaVersion')) {
+                content.elements.forEach(function(element) {
+                    element.id = model.normalizeId(element.id);
+                });
+            }
+
+            fn(null, content);
+        });
+    }
+
+    // expose diff as public API
+    module.exports = {
+        changeTypes : changeTypes,
+        Change      : Change,
+        diffModels  : diffModels,
+        readModel   : readModel
+    };
+})(module);
@@ -0,0 +1,162 @@
+/**
+ * @module patternlab2domain
+ * @author Moritz Spindelhirn [m.spindelhirn@cashiers-check.de]
+ * @namespace Exporters
+ */
+(function(module) {
+    'use strict';
+
+    var path = require('path'),
+        Writer = require('./writer').Writer,
+        SchemaWriter = require('./schema').SchemaWriter,
+        TypeScriptWriter = require('./typescript').TypeScriptWriter,
+        NeosWriter = require('./neos').NeosWriter,
+        CndWriter = require('./cnd').CndWriter,
+        Metadata = require('./metadata');
+
+    /**
+     * Output formats mapped to their writer class.
+     *
+     * @memberOf Exporters
+     * @private
+     *
+     * @type {Object.<string, function>}
+     */
+    var formats = {};
+
+    /**
+     * Register the writer class of an output format.
+     * A writer is created with the writer options and must implement `write(storage, fn)` used by the command line and
+     * `writeModel(model, fn)` used by the programmatic API. Writers inheriting from {@link Writer.Writer} have both and
+     * only overwrite `serialize(model)`, which receives the domain model with all elements.
+     *
+     * @memberOf Exporters
+     * @function register
+     *
+     * @throws {Error} Throws an {@link Error} if the writer class does not implement the writer interface.
+     *
+     * @param {string} name Name of the format used with `--format`
+     * @param {function} writerClass
+     */
+    function register(name, writerClass) {
+        if(typeof name !== 'string' || name.length === 0) {
+            throw new Error('Format name must be a non empty string.');
+        }
+
+        if(typeof writerClass !== 'function' || typeof writerClass.prototype.write !== 'function' ||
+            typeof writerClass.prototype.writeModel !== 'function') {
+            throw new Error('Writer of format `' + name + '` must be a class inheriting from Writer or implementing ' +
+                'write(storage, fn) and writeModel(model, fn).');
+        }
+
+        formats[name] = writerClass;
+    }
+
+    /**
+     * Register a namespaced key for the meta information used by an exporter, e.g. `neos`.
+     * The key is allowed in `cr:node` and `cr:element` comments as well as in the sidecar files and must hold an object,
+     * other unknown keys are reported as `unknown-metadata` warnings.
+     *
+     * @memberOf Exporters
+     * @function registerMetadata
+     *
+     * @throws {Error} Throws an {@link Error} if the name is empty or a built-in key like `name` or `type`.
+     *
+     * @param {string} name
+     */
+    function registerMetadata(name) {
+        Metadata.registerNamespace(name);
+    }
+
+    /**
+     * Check if a format is registered.
+     *
+     * @memberOf Exporters
+     * @function has
+     *
+     * @param {string} name
+     *
+     * @returns {boolean}
+     */
+    function has(name) {
+        return formats.hasOwnProperty(name);
+    }
+
+    /**
+     * Get the writer class of a format.
+     *
+     * @memberOf Exporters
+     * @function get
+     *
+     * @param {string} name
+     *
+     * @returns {function|null}
+     */
+    function get(name) {
+        return has(name) ? formats[name] : null;
+    }
+
+    /**
+     * Get the names of all registered formats.
+     *
+     * @memberOf Exporters
+     * @function names
+     *
+     * @returns {string[]}
+     */
+    function names() {
+        return Object.keys(formats);
+    }
+
+    /**
+     * Load an exporter plugin from an npm module or a local file.
+     * Paths starting with `.` are resolved against the base directory, everything else is looked up as a module from
+     * the base directory. The plugin module exports a function which is called with this registry and registers its
+     * formats.
+     *
+     * @memberOf Exporters
+     * @function load
+     *
+     * @throws {Error} Throws an {@link Error} if the plugin can not be loaded.
+     *
+     * @param {string} plugin Module name or file path
+     * @param {string} [baseDir] Defaults to the working directory
+     */
+    function load(plugin, baseDir) {
+        var dir = baseDir || process.cwd(),
+            file,
+            init;
+
+        try {
+            file = (plugin.charAt(0) === '.' || path.isAbsolute(plugin)) ?
+                require.resolve(path.resolve(dir, plugin)) :
+                require.resolve(plugin, { paths: [dir] });
+            init = require(file);
+        } catch (e) {
+            throw new Error('Exporter plugin `' + plugin + '` can not be loaded: ' + e.message.split('\n')[0]);
+        }
+
+        if(typeof init !== 'function') {
+            throw new Error('Exporter plugin `' + plugin + '` must export a function.');
+        }
+
+        init(module.exports);
+    }
+
+    register('json', Writer);
+    register('schema', SchemaWriter);
+    register('typescript', TypeScriptWriter);
+    register('neos', NeosWriter);
+    register('cnd', CndWriter);
+
+    // expose exporter registry as public API
+    module.exports = {
+        Writer              : Writer,
+        register            : register,
+        registerMetadata    : registerMetadata,
+        has                 : has,
+        get                 : get,
+        names               : names,
+        load                : load
+    };
+})(module);
@@ -0,0 +1,71 @@
+/**
+ * @module patternlab2domain
+ * @author Moritz Spindelhirn [m.spindelhirn@cashiers-check.de]
+ * @namespace FieldTypes
+ */
+(function(module) {
+    'use strict';
+
+    /**
+     * Known field types.
+     * The parser infers the type from the way a variable is used in the template. A `type` key in the
+     * `cr:element` meta information overrides the inferred type.
+     *
+     * @memberOf FieldTypes
+     * @namespace FieldTypes.fieldTypes
+     *
+     * @type {{}}
+     */
+    var fieldTypes = {
+
+        /**
+         * Escaped variable `{{name}}`
+         *
+         * @memberOf FieldTypes.fieldTypes
+         *
+         * @type {string}
+         */
+        TEXT    : 'text',
+
+        /**
+         * Unescaped variable `{{{name}}}` or `{{& name}}`
+         *
+         * @memberOf FieldTypes.fieldTypes
+         *
+         * @type {string}
+         */
+        HTML    : 'html',
+
+        /**
+         * Section without inner references or inverted section
+         *
+         * @memberOf FieldTypes.fieldTypes
+         *
+         * @type {string}
+         */
+        BOOLEAN : 'boolean',
+
+        /**
+         * Section with inner references
+         *
+         * @memberOf FieldTypes.fieldTypes
+         *
+         * @type {string}
+         */
+        LIST    : 'list',
+
+        /**
+         * Section providing a single nested context. Never inferred by the parser, only set by meta information.
+         *
+         * @memberOf FieldTypes.fieldTypes
+         *
+         * @type {string}
+         */
+        OBJECT  : 'object'
+    };
+
+    // expose field types as public API
+    module.exports = {
+        fieldTypes: fieldTypes
+    };
+})(module);
@@ -0,0 +1,278 @@
+/**
+ * @module patternlab2domain
+ * @author Moritz Spindelhirn [m.spindelhirn@cashiers-check.de]
+ * @namespace Handlebars
+ */
+(function(module) {
+    'use strict';
+
+    var Handlebars = require('handlebars'),
+        util = require('util'),
+        Parser = require('./parser').Parser,
+        getOffset = require('./diagnostics').getOffset;
+
+    /**
+     * Block helpers with a known meaning for the domain model.
+     * `each` loops over a list, `with` changes the context to an object and conditions keep the context.
+     *
+     * @memberOf Handlebars
+     * @private
+     *
+     * @type {Object.<string, string>}
+     */
+    var blockHelpers = {
+        each: 'each',
+        with: 'with',
+        if: 'if',
+        unless: 'if'
+    };
+
+    /**
+     * Parser for handlebars templates.
+     * Converts the handlebars syntax tree into the tokens of the {@link Parser.Parser mustache parser}, so both emit
+     * the same fields, includes and node information.
+     *
+     * @memberOf Handlebars
+     * @namespace Handlebars.HandlebarsParser
+     *
+     * @constructor
+     * @param {string} file Absolute file path to handlebars template
+     * @param {{}} [options] See {@link Parser.parserDefaultOptions}
+     */
+    function HandlebarsParser(file, options) {
+        Parser.call(this, file, options);
+
+        /**
+         * Get the offset of a node in the template.
+         *
+         * @function getNodeOffset
+         * @memberOf Handlebars.HandlebarsParser
+         * @private
+         *
+         * @param {{loc: {start: {line: Number, column: Number}}}} node
+         *
+         * @returns {Number}
+         */
+        this.getNodeOffset = function(node) {
+            return node.loc ? getOffset(this.content, node.loc.start.line, node.loc.start.column + 1) : 0;
+        };
+
+        /**
+         * Get the field name of a path expression.
+         * Block parameters like `item` of `{{#each items as |item|}}` refer to the current context.
+         *
+         * @function getPathName
+         * @memberOf Handlebars.HandlebarsParser
+         * @private
+         *
+         * @param {{type: string, data: boolean, parts: string[]}} expression
+         * @param {string[]} blockParams Block parameters of the enclosing blocks
+         *
+         * @returns {string|null} Name of the field, `.` for the current context or null for no field
+         */
+        this.getPathName = function(expression, blockParams) {
+            if(!expression || expression.type !== 'PathExpression' || expression.data) {
+                return null;
+            }
+
+            var parts = expression.parts;
+            if(parts.length > 0 && blockParams.indexOf(parts[0]) !== -1) {
+                parts = parts.slice(1);
+            }
+
+            return parts.length > 0 ? parts.join('.') : '.';
+        };
+
+        /**
+         * Get variable tokens for all path expressions in the parameters and hash of a helper call.
+         *
+         * @function getParameterTokens
+         * @memberOf Handlebars.HandlebarsParser
+         * @private
+         *
+         * @param {{params: Array, hash: {pairs: Array}}} node
+         * @param {string[]} blockParams
+         *
+         * @returns {Array}
+         */
+        this.getParameterTokens = function(node, blockParams) {
+            var $this = this,
+                expressions = (node.params || []).concat((node.hash ? node.hash.pairs : []).map(function(pair) {
+                    return pair.value;
+                }));
+
+            return expressions.map(function(expression) {
+                var name = $this.getPathName(expression, blockParams);
+                return (name === null || name === '.') ? null : ['name', name, $this.getNodeOffset(expression)];
+            }).filter(function(token) {
+                return token !== null;
+            });
+        };
+
+        /**
+         * Convert a partial to an include token.
+         * Literal hash values become pattern parameters.
+         *
+         * @function convertPartial
+         * @memberOf Handlebars.HandlebarsParser
+         * @private
+         *
+         * @param {{name: {}, hash: {pairs: Array}}} node
+         *
+         * @returns {Array}
+         */
+        this.convertPartial = function(node) {
+            var value = node.name.original || String(node.name.value),
+                parameters = (node.hash ? node.hash.pairs : []).filter(function(pair) {
+                    return pair.value.hasOwnProperty('value');
+                }).map(function(pair) {
+                    return pair.key + ': ' + JSON.stringify(pair.value.value);
+                });
+
+            if(parameters.length > 0) {
+                value += '(' + parameters.join(', ') + ')';
+            }
+
+            return ['>', value, this.getNodeOffset(node)];
+        };
+
+        /**
+         * Convert the statements of a program into mustache tokens.
+         *
+         * @function convertProgram
+         * @memberOf Handlebars.HandlebarsParser
+         * @private
+         *
+         * @param {{body: Array}|undefined} program
+         * @param {string[]} blockParams Block parameters of the enclosing blocks
+         *
+         * @returns {Array}
+         */
+        this.convertProgram = function(program, blockParams) {
+            var $this = this,
+                tokens = [];
+
+            if(!program) {
+                return tokens;
+            }
+
+            program.body.forEach(function(node) {
+                var offset = $this.getNodeOffset(node);
+
+                switch(node.type) {
+                    case 'CommentStatement':
+                        tokens.push(['!', node.value.trim(), offset]);
+                        break;
+
+                    case 'MustacheStatement':
+                        if((node.params || []).length > 0 || node.hash) {
+                            tokens = tokens.concat($this.getParameterTokens(node, blockParams));
+                            break;
+                        }
+
+                        var name = $this.getPathName(node.path, blockParams);
+                        if(name !== null) {
+                            tokens.push([node.escaped ? 'name' : '&', name, offset]);
+                        }
+                        break;
+
+                    case 'BlockStatement':
+                        tokens = tokens.concat($this.convertBlock(node, blockParams));
+                        break;
+
+                    case 'PartialStatement':
+                        tokens.push($this.convertPartial(node));
+                        break;
+
+                    case 'PartialBlockStatement':
+                        tokens.push($this.convertPartial(node));
+                        tokens = tokens.concat($this.convertProgram(node.program, blockParams));
+                        break;
+                }
+            });
+
+            return tokens;
+        };
+
+        /**
+         * Convert a block into mustache tokens.
+         * The `else` part of a block is rendered in the enclosing context.
+         *
+         * @function convertBlock
+         * @memberOf Handlebars.HandlebarsParser
+         * @private
+         *
+         * @param {{path: {}, params: Array, program: {}, inverse: {}}} node
+         * @param {string[]} blockParams
+         *
+         * @returns {Array}
+         */
+        this.convertBlock = function(node, blockParams) {
+            var helper = node.path.original,
+                offset = this.getNodeOffset(node),
+                inverse = this.convertProgram(node.inverse, blockParams),
+                params = node.params || [];
+
+            // mustache style section like {{#items}}
+            if(params.length === 0) {
+                var sectionName = this.getPathName(node.path, blockParams);
+                return [['#', sectionName, offset, offset, this.convertProgram(node.program, blockParams)]].concat(inverse);
+            }
+
+            var type = blockHelpers.hasOwnProperty(helper) ? blockHelpers[helper] : null,
+                name = this.getPathName(params[0], blockParams);
+
+            if(type === null || name === null || name === '.') {
+                // unknown helpers render their content in the current context
+                return this.getParameterTokens(node, blockParams).concat(this.convertProgram(node.program, blockParams), inverse);
+            }
+
+            var innerParams = (type === 'if') ? blockParams : blockParams.concat(node.program.blockParams || []);
+            return [[type, name, offset, offset, this.convertProgram(node.program, innerParams)]].concat(inverse);
+        };
+    }
+    util.inherits(HandlebarsParser, Parser);
+
+    /**
+     * File ending of handlebars templates.
+     *
+     * @memberOf Handlebars.HandlebarsParser
+     * @name fileEnding
+     *
+     * @type {string}
+     */
+    HandlebarsParser.fileEnding = '.hbs';
+
+    /**
+     * Parse the template with handlebars and convert the syntax tree into mustache tokens.
+     *
+     * @function tokenize
+     * @memberOf Handlebars.HandlebarsParser
+     *
+     * @param {string} content
+     *
+     * @returns {Array}
+     */
+    HandlebarsParser.prototype.tokenize = function(content) {
+        var ast;
+
+        try {
+            ast = Handlebars.parse(content);
+        } catch (e) {
+            var line = /on line ([0-9]+)/.exec(e.message);
+            if(typeof e.lineNumber === 'number') {
+                e.offset = getOffset(content, e.lineNumber, (e.column || 0) + 1);
+            } else if(line) {
+                e.offset = getOffset(content, parseInt(line[1], 10), 1);
+            }
+            throw e;
+        }
+
+        return this.convertProgram(ast, []);
+    };
+
+    // expose handlebars parser as public API
+    module.exports = {
+        HandlebarsParser: HandlebarsParser
+    };
+})(module);
@@ -0,0 +1,130 @@
+/**
+ * @module patternlab2domain
+ * @author Moritz Spindelhirn [m.spindelhirn@cashiers-check.de]
+ * @namespace Api
+ */
+(function(module) {
+    'use strict';
+
+    var extend = require('extend'),
+        Q = require('q'),
+        Conductor = require('./conductor').Conductor,
+        createModel = require('./model').createModel,
+        exporters = require('./exporters'),
+        diff = require('./diff');
+
+    /**
+     * Write default options
+     *
+     * @memberOf Api
+     *
+     * @type {{format: string}}
+     */
+    var writeDefaultOptions = {
+
+        /**
+         * Name of a registered output format
+         */
+        format: 'json'
+    };
+
+    /**
+     * Build the domain model of a patternlab project.
+     * The options are named like the command line options: `patternDir`, `tplBaseDir` or `tplFile`, `dataFile`,
+     * `parser`, `fileEnding`, `tags`, `patternTypes`, `concurrency` and `circularIncludes`. Template paths in the model are relative to `baseDir`,
+     * which defaults to the `patternDir`, so the model does not depend on the working directory.
+     * The promise is rejected if a template can not be read or errors were reported. The error carries the reported
+     * problems in `diagnostics`.
+     *
+     * @memberOf Api
+     * @function build
+     *
+     * @param {{}} options
+     *
+     * @returns {Promise} Resolved with the domain model, see {@link Model.createModel}
+     */
+    function build(options) {
+        var opts = extend({}, options),
+            conductor = new Conductor({
+                startDir: opts.tplBaseDir,
+                startFile: opts.tplFile,
+                patternDir: opts.patternDir,
+                dataFile: opts.dataFile,
+                parser: opts.parser,
+                fileEnding: opts.fileEnding,
+                tags: opts.tags,
+                patternTypes: opts.patternTypes,
+                concurrency: opts.concurrency,
+                circularIncludes: opts.circularIncludes
+            });
+
+        // errors are reported as diagnostics and by rejecting the promise
+        conductor.on('error', function() {});
+
+        var fail = function(message) {
+            var error = new Error(message);
+            error.diagnostics = conductor.diagnostics.items.slice();
+            throw error;
+        };
+
+        return conductor.start().then(function(handler) {
+            if(conductor.diagnostics.hasErrors()) {
+                fail('Building the model failed: ' + conductor.diagnostics.summary());
+            }
+
+            return createModel(handler.storage, {
+                baseDir: opts.baseDir || opts.patternDir
+            });
+        }, function(err) {
+            fail('Building the model failed: ' + err.message);
+        });
+    }
+
+    /**
+     * Write a domain model with the writer of a registered format.
+     * All other options are passed to the writer, e.g. `outFile` or `pretty`.
+     *
+     * @memberOf Api
+     * @function write
+     *
+     * @param {{schemaVersion: number, elements: {}[]}} model
+     * @param {{}} [options] See {@link Api.writeDefaultOptions}
+     *
+     * @returns {Promise} Resolved with the path of the written file
+     */
+    function write(model, options) {
+        var opts = extend({}, writeDefaultOptions, options),
+            WriterClass = exporters.get(opts.format),
+            deferred = Q.defer();
+
+        if(WriterClass === null) {
+            deferred.reject(new Error('Unknown format `' + opts.format + '`, use one of: ' + exporters.names().join(', ') + '.'));
+            return deferred.promise;
+        }
+
+        var writer = new WriterClass(opts);
+        if(typeof writer.writeModel !== 'function') {
+            deferred.reject(new Error('Writer of format `' + opts.format + '` does not implement writeModel(model, fn).'));
+            return deferred.promise;
+        }
+
+        writer.writeModel(model, function(err) {
+            if(err) {
+                deferred.reject(err);
+            } else {
+                deferred.resolve(writer.options.outFile);
+            }
+        });
+
+        return deferred.promise;
+    }
+
+    // expose library API
+    module.exports = {
+        build       : build,
+        write       : write,
+        diff        : diff.diffModels,
+        exporters   : exporters,
+        Conductor   : Conductor
+    };
+})(module);
@@ -0,0 +1,406 @@
+/**
+ * @module patternlab2domain
+ * @author Moritz Spindelhirn [m.spindelhirn@cashiers-check.de]
+ * @namespace Metadata
+ */
+(function(module) {
+    'use strict';
+
+    var extend = require('extend'),
+        fs = require('fs'),
+        path = require('path'),
+        yaml = require('js-yaml'),
+        Q = require('q'),
+        Diagnostic = require('./diagnostics').Diagnostic,
+        severities = require('./diagnostics').severities,
+        fieldTypes = require('./fieldTypes').fieldTypes;
+
+    /**
+     * Endings of the sidecar files next to a template, e.g. `00-teaser.domain.yaml`.
+     *
+     * @memberOf Metadata
+     *
+     * @type {string[]}
+     */
+    var sidecarEndings = ['.domain.yaml', '.domain.yml', '.domain.json'];
+
+    /**
+     * Key of the domain metadata in the front-matter of the pattern documentation.
+     *
+     * @memberOf Metadata
+     *
+     * @type {string}
+     */
+    var frontMatterKey = 'domain';
+
+    /**
+     * Known keys of the meta information with the type of their value, for `cr:node` comments and the `node` of the
+     * sidecar files as well as for `cr:element` comments and the `fields` of the sidecar files.
+     * The values of the `type` key are the {@link FieldTypes.fieldTypes}.
+     *
+     * @memberOf Metadata
+     * @namespace Metadata.metadataKeys
+     *
+     * @type {{}}
+     */
+    var metadataKeys = {
+        'cr:node': {
+            isOwnElement    : { type: 'boolean' },
+            label           : { type: 'string' },
+            description     : { type: 'string' }
+        },
+        'cr:element': {
+            name            : { type: 'string' },
+            type            : { type: 'string', values: Object.keys(fieldTypes).map(function(key) { return fieldTypes[key]; }) },
+            iterable        : { type: 'boolean' },
+            label           : { type: 'string' },
+            description     : { type: 'string' },
+            required        : { type: 'boolean' }
+        }
+    };
+
+    /**
+     * Keys of exporters holding their own meta information as an object in both `cr:node` and `cr:element`.
+     * The `neos` key of the built-in Neos exporter is always known, plugins register further keys.
+     *
+     * @memberOf Metadata
+     * @private
+     *
+     * @type {Object.<string, boolean>}
+     */
+    var namespaces = {
+        neos: true
+    };
+
+    /**
+     * Register a namespaced key for the meta information of an exporter, e.g. `neos`.
+     * The value of the key must be an object, its content is up to the exporter.
+     *
+     * @memberOf Metadata
+     * @function registerNamespace
+     *
+     * @throws {Error} Throws an {@link Error} if the name is empty or a known key.
+     *
+     * @param {string} name
+     */
+    function registerNamespace(name) {
+        if(typeof name !== 'string' || name.length === 0) {
+            throw new Error('Metadata namespace must be a non empty string.');
+        }
+
+        if(Object.keys(metadataKeys).some(function(scope) {
+            return metadataKeys[scope].hasOwnProperty(name);
+        })) {
+            throw new Error('Metadata namespace `' + name + '` conflicts with a known key.');
+        }
+
+        namespaces[name] = true;
+    }
+
+    /**
+     * Get the type of a metadata value as used in the messages.
+     *
+     * @memberOf Metadata
+     * @function getValueType
+     * @private
+     *
+     * @param {*} value
+     *
+     * @returns {string}
+     */
+    function getValueType(value) {
+        if(value === null) {
+            return 'null';
+        }
+
+        return Array.isArray(value) ? 'array' : typeof value;
+    }
+
+    /**
+     * Validate meta information against the known keys and the registered namespaces.
+     * Values of the wrong type are errors, unknown keys are warnings as they are removed by {@link Metadata.removeUnknownKeys}.
+     *
+     * @memberOf Metadata
+     * @function validateInfo
+     *
+     * @param {string} scope `cr:node` or `cr:element`
+     * @param {*} info
+     *
+     * @returns {{severity: string, code: string, message: string}[]}
+     */
+    function validateInfo(scope, info) {
+        var keys = metadataKeys[scope],
+            problems = [];
+
+        if(getValueType(info) !== 'object') {
+            return [{
+                severity: severities.ERROR,
+                code: 'invalid-metadata',
+                message: 'Meta information of `' + scope + '` must be an object, got ' + getValueType(info) + '.'
+            }];
+        }
+
+        Object.keys(info).forEach(function(key) {
+            var definition = keys.hasOwnProperty(key) ? keys[key] : (isKnownKey(scope, key) ? { type: 'object' } : null),
+                valueType = getValueType(info[key]);
+
+            if(definition === null) {
+                problems.push({
+                    severity: severities.WARNING,
+                    code: 'unknown-metadata',
+                    message: 'Unknown key `' + key + '` in `' + scope + '` meta information is ignored.'
+                });
+            } else if(valueType !== definition.type) {
+                problems.push({
+                    severity: severities.ERROR,
+                    code: 'invalid-metadata',
+                    message: 'Key `' + key + '` in `' + scope + '` meta information must be a ' + definition.type + ', got ' +
+                        valueType + ' ' + JSON.stringify(info[key]) + '.'
+                });
+            } else if(definition.values && definition.values.indexOf(info[key]) === -1) {
+                problems.push({
+                    severity: severities.ERROR,
+                    code: 'invalid-metadata',
+                    message: 'Key `' + key + '` in `' + scope + '` meta information must be one of ' +
+                        definition.values.join(', ') + ', got ' + JSON.stringify(info[key]) + '.'
+                });
+            }
+        });
+
+        return problems;
+    }
+
+    /**
+     * Check if a key is known in the meta information of a scope or a registered namespace.
+     *
+     * @memberOf Metadata
+     * @function isKnownKey
+     * @private
+     *
+     * @param {string} scope `cr:node` or `cr:element`
+     * @param {string} key
+     *
+     * @returns {boolean}
+     */
+    function isKnownKey(scope, key) {
+        return metadataKeys[scope].hasOwnProperty(key) || namespaces.hasOwnProperty(key);
+    }
+
+    /**
+     * Get a copy of meta information without the unknown keys, so typos do not end up in the model.
+     * Meta information which is no object results in an empty object.
+     *
+     * @memberOf Metadata
+     * @function removeUnknownKeys
+     *
+     * @param {string} scope `cr:node` or `cr:element`
+     * @param {*} info
+     *
+     * @returns {{}}
+     */
+    function removeUnknownKeys(scope, info) {
+        var result = {};
+
+        if(getValueType(info) === 'object') {
+            Object.keys(info).forEach(function(key) {
+                if(isKnownKey(scope, key)) {
+                    result[key] = info[key];
+                }
+            });
+        }
+
+        return result;
+    }
+
+    /**
+     * Validate the metadata of a sidecar file, the `node` like a `cr:node` comment and every entry of
+     * `fields` like a `cr:element` comment.
+     *
+     * @memberOf Metadata
+     * @function validateMetadata
+     *
+     * @param {{node: {}, fields: {}}} metadata
+     *
+     * @returns {{severity: string, code: string, message: string}[]}
+     */
+    function validateMetadata(metadata) {
+        var problems = validateInfo('cr:node', metadata.node);
+
+        Object.keys(metadata.fields).forEach(function(path) {
+            problems = problems.concat(validateInfo('cr:element', metadata.fields[path]).map(function(problem) {
+                problem.message = 'Field `' + path + '`: ' + problem.message;
+                return problem;
+            }));
+        });
+
+        return problems;
+    }
+
+    /**
+     * Get the base path of a template without its file ending.
+     *
+     * @memberOf Metadata
+     * @function getBasePath
+     * @private
+     *
+     * @param {string} templateFile
+     *
+     * @returns {string}
+     */
+    function getBasePath(templateFile) {
+        return templateFile.substr(0, templateFile.length - path.extname(templateFile).length);
+    }
+
+    /**
+     * Get all files which may contain metadata of a template, with the lowest precedence first.
+     * The front-matter of the `.md` documentation is followed by the sidecar files.
+     *
+     * @memberOf Metadata
+     * @function getMetadataFiles
+     *
+     * @param {string} templateFile
+     *
+     * @returns {string[]}
+     */
+    function getMetadataFiles(templateFile) {
+        var basePath = getBasePath(templateFile);
+
+        return [basePath + '.md'].concat(sidecarEndings.map(function(ending) {
+            return basePath + ending;
+        }));
+    }
+
+    /**
+     * Check if a file is a sidecar file.
+     *
+     * @memberOf Metadata
+     * @function isSidecarFile
+     *
+     * @param {string} file
+     *
+     * @returns {boolean}
+     */
+    function isSidecarFile(file) {
+        return sidecarEndings.some(function(ending) {
+            return file.substr(-ending.length) === ending;
+        });
+    }
+
+    /**
+     * Parse the content of a metadata file.
+     * Markdown files provide the metadata in the `domain` key of their front-matter.
+     *
+     * @memberOf Metadata
+     * @function parseMetadata
+     * @private
+     *
+     * @throws {Error} Throws an {@link Error} if the content is no valid YAML or JSON.
+     *
+     * @param {string} file
+     * @param {string} content
+     *
+     * @returns {{node: {}, fields: {}}}
+     */
+    function parseMetadata(file, content) {
+        var data;
+
+        if(path.extname(file) === '.md') {
+            var frontMatter = /^---\r?\n([\s\S]*?)\r?\n---/.exec(content);
+            data = frontMatter ? (yaml.safeLoad(frontMatter[1]) || {})[frontMatterKey] : null;
+        } else if(path.extname(file) === '.json') {
+            data = JSON.parse(content);
+        } else {
+            data = yaml.safeLoad(content);
+        }
+
+        if(data === null || data === undefined) {
+            data = {};
+        }
+
+        if(typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('Metadata must be an object with `node` and `fields`.');
+        }
+
+        ['node', 'fields'].forEach(function(key) {
+            if(data[key] !== undefined && data[key] !== null && getValueType(data[key]) !== 'object') {
+                throw new Error('`' + key + '` must be an object.');
+            }
+        });
+
+        return {
+            node: data.node || {},
+            fields: data.fields || {}
+        };
+    }
+
+    /**
+     * Read the metadata of a template from its documentation front-matter and sidecar files.
+     * Later files overwrite the metadata of earlier ones. Field metadata is keyed by the dotted path of the field,
+     * e.g. `teasers.headline` for a field in the `teasers` section.
+     * Every file is validated with {@link Metadata.validateMetadata}, files which can not be parsed and unknown keys
+     * are left out.
+     *
+     * @memberOf Metadata
+     * @function readMetadata
+     *
+     * @param {string} templateFile
+     * @param {function} fn Called with the diagnostics of the files and the merged metadata
+     */
+    function readMetadata(templateFile, fn) {
+        Q.all(getMetadataFiles(templateFile).map(function(file) {
+            var deferred = Q.defer();
+
+            fs.readFile(file, function(err, content) {
+                if(err) {
+                    deferred.resolve(err.code === 'ENOENT' ? null : { file: file, error: err });
+                    return;
+                }
+
+                try {
+                    deferred.resolve({ file: file, metadata: parseMetadata(file, content.toString()) });
+                } catch (e) {
+                    deferred.resolve({ file: file, error: new Error('Invalid metadata in ' + file + ': ' + e.message) });
+                }
+            });
+
+            return deferred.promise;
+        })).then(function(results) {
+            var diagnostics = [],
+                merged = { node: {}, fields: {} };
+
+            results.forEach(function(result) {
+                if(result === null) {
+                    return;
+                }
+
+                if(result.error) {
+                    diagnostics.push(new Diagnostic(severities.ERROR, 'invalid-metadata', result.error.message, { file: result.file }));
+                    return;
+                }
+
+                validateMetadata(result.metadata).forEach(function(problem) {
+                    diagnostics.push(new Diagnostic(problem.severity, problem.code, problem.message, { file: result.file }));
+                });
+
+                extend(true, merged.node, removeUnknownKeys('cr:node', result.metadata.node));
+                Object.keys(result.metadata.fields).forEach(function(path) {
+                    merged.fields[path] = extend(true, merged.fields[path] || {}, removeUnknownKeys('cr:element', result.metadata.fields[path]));
+                });
+            });
+
+            fn(diagnostics, merged);
+        }).done();
+    }
+
+    // expose metadata files and schema as public API
+    module.exports = {
+        metadataKeys        : metadataKeys,
+        registerNamespace   : registerNamespace,
+        validateInfo        : validateInfo,
+        removeUnknownKeys   : removeUnknownKeys,
+        validateMetadata    : validateMetadata,
+        getMetadataFiles    : getMetadataFiles,
+        isSidecarFile       : isSidecarFile,
+        readMetadata        : readMetadata
+    };
+})(module);
@@ -0,0 +1,225 @@
+/**
+ * @module patternlab2domain
+ * @author Moritz Spindelhirn [m.spindelhirn@cashiers-check.de]
+ * @namespace Model
+ */
+(function(module) {
+    'use strict';
+
+    var extend = require('extend'),
+        path = require('path');
+
+    /**
+     * Version of the serialized model format.
+     * Raised on every change of the format which is not backwards compatible.
+     *
+     * @memberOf Model
+     *
+     * @type {number}
+     */
+    var schemaVersion = 1;
+
+    /**
+     * Model default options
+     *
+     * @memberOf Model
+     *
+     * @type {{baseDir: string|null}}
+     */
+    var modelDefaultOptions = {
+
+        /**
+         * Directory the template paths are relative to, defaults to the working directory
+         */
+        baseDir: null
+    };
+
+    /**
+     * Normalise a node id.
+     * Start templates are identified by their file name, so `00-home.mustache` becomes `home` and
+     * `page-home.mustache` becomes `page-home`. Pattern ids like `molecules-teaser` are kept.
+     *
+     * @memberOf Model
+     * @function normalizeId
+     *
+     * @param {string} id
+     *
+     * @returns {string}
+     */
+    function normalizeId(id) {
+        var ext = path.extname(id);
+
+        if(ext.length === 0) {
+            return id;
+        }
+
+        return path.basename(id, ext).replace(/^[0-9]+-/, '');
+    }
+
+    /**
+     * Compare two strings for sorting.
+     *
+     * @memberOf Model
+     * @function compare
+     * @private
+     *
+     * @param {string} a
+     * @param {string} b
+     *
+     * @returns {number}
+     */
+    function compare(a, b) {
+        return a < b ? -1 : (a > b ? 1 : 0);
+    }
+
+    /**
+     * Get the relative template path with forward slashes.
+     *
+     * @memberOf Model
+     * @function toTemplatePath
+     * @private
+     *
+     * @param {string|null} file
+     * @param {string} baseDir
+     *
+     * @returns {string|null}
+     */
+    function toTemplatePath(file, baseDir) {
+        if(!file) {
+            return null;
+        }
+
+        return path.relative(baseDir, path.resolve(file)).split(path.sep).join('/');
+    }
+
+    /**
+     * Convert a relation to its model representation.
+     *
+     * @memberOf Model
+     * @function relationToModel
+     * @private
+     *
+     * @param {Parser.Include} include
+     *
+     * @returns {{}}
+     */
+    function relationToModel(include) {
+        return {
+            name: include.name,
+            options: extend(true, {}, include.options),
+            variant: include.variant,
+            modifiers: include.modifiers.slice(),
+            parameters: extend(true, {}, include.parameters),
+            template: include.template,
+            recursive: include.recursive
+        };
+    }
+
+    /**
+     * Convert the fields and relations of an element or section to their model representation.
+     * Fields are sorted by name, relations by their `cr:element` name and the included id.
+     *
+     * @memberOf Model
+     * @function containerToModel
+     * @private
+     *
+     * @param {Builder.CrNode|Parser.Field} container
+     * @param {{}} target
+     *
+     * @returns {{}} The target
+     */
+    function containerToModel(container, target) {
+        target.fields = container.fields.map(function(field) {
+            return containerToModel(field, {
+                name: field.name,
+                options: extend(true, {}, field.options),
+                sample: field.sample ? extend(true, {}, field.sample) : null
+            });
+        }).sort(function(a, b) {
+            return compare(a.name, b.name);
+        });
+
+        target.relations = container.relations.map(relationToModel).sort(function(a, b) {
+            return compare(a.options.name || a.name, b.options.name || b.name) || compare(a.name, b.name);
+        });
+
+        return target;
+    }
+
+    /**
+     * Convert a node to its model representation.
+     *
+     * @memberOf Model
+     * @function nodeToModel
+     * @private
+     *
+     * @param {Builder.CrNode} crNode
+     * @param {string} id Id of the element
+     * @param {string} baseDir
+     *
+     * @returns {{}}
+     */
+    function nodeToModel(crNode, id, baseDir) {
+        return containerToModel(crNode, {
+            id: id,
+            templateFile: toTemplatePath(crNode.templateFile, baseDir),
+            info: extend(true, {}, crNode.info),
+            variants: crNode.variants.map(function(variant) {
+                return {
+                    name: variant.name,
+                    data: extend(true, {}, variant.data)
+                };
+            }).sort(function(a, b) {
+                return compare(a.name, b.name);
+            })
+        });
+    }
+
+    /**
+     * Create the serialisable domain model from the node storage.
+     * Nodes marked with `"isOwnElement": false` are left out, the elements are sorted by id so the model does not
+     * depend on the order the templates were parsed in. Start templates whose normalised ids collide, like
+     * `00-home.mustache` and `01-home.mustache`, keep their numeric prefix.
+     *
+     * @memberOf Model
+     * @function createModel
+     *
+     * @param {Object.<string, Builder.CrNode>} storage
+     * @param {{}} [options]
+     *
+     * @returns {{schemaVersion: number, elements: {}[]}}
+     */
+    function createModel(storage, options) {
+        var opts = extend({}, modelDefaultOptions, options),
+            baseDir = path.resolve(opts.baseDir || process.cwd()),
+            elements = [],
+            counts = {};
+
+        Object.keys(storage).forEach(function(id) {
+            counts[normalizeId(id)] = (counts[normalizeId(id)] || 0) + 1;
+        });
+
+        Object.keys(storage).forEach(function(id) {
+            var crNode = storage[id],
+                elementId = counts[normalizeId(id)] > 1 ? path.basename(id, path.extname(id)) : normalizeId(id);
+
+            if(!crNode.info || crNode.info.isOwnElement !== false) {
+                elements.push(nodeToModel(crNode, elementId, baseDir));
+            }
+        });
+
+        return {
+            schemaVersion: schemaVersion,
+            elements: elements.sort(function(a, b) {
+                return compare(a.id, b.id);
+            })
+        };
+    }
+
+    // expose model as public API
+    module.exports = {
+        schemaVersion   : schemaVersion,
+        normalizeId     : normalizeId,
+        createModel     : createModel
+    };
+})(module);
@@ -0,0 +1,70 @@
+/**
+ * @module patternlab2domain
+ * @author Moritz Spindelhirn [m.spindelhirn@cashiers-check.de]
+ * @namespace Naming
+ */
+(function(module) {
+    'use strict';
+
+    var path = require('path');
+
+    /**
+     * Split a node id or field name into its words.
+     * File name ids like `00-home.mustache` lose their numeric prefix and file ending.
+     *
+     * @memberOf Naming
+     * @function toWords
+     * @private
+     *
+     * @param {string} id
+     *
+     * @returns {string[]}
+     */
+    function toWords(id) {
+        return path.basename(id, path.extname(id)).replace(/^[0-9]+-/, '')
+            .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+            .split(/[^a-zA-Z0-9]+/)
+            .filter(function(part) {
+                return part.length > 0;
+            });
+    }
+
+    /**
+     * Convert a node id to a type name, e.g. `molecules-media-block` to `MoleculesMediaBlock`.
+     *
+     * @memberOf Naming
+     * @function toPascalCase
+     *
+     * @param {string} id
+     *
+     * @returns {string}
+     */
+    function toPascalCase(id) {
+        var name = toWords(id).map(function(part) {
+            return part.charAt(0).toUpperCase() + part.substr(1);
+        }).join('');
+
+        return /^[a-zA-Z_]/.test(name) ? name : '_' + name;
+    }
+
+    /**
+     * Convert a node id or field name to a human readable label, e.g. `molecules-media-block` to `Molecules media block`.
+     *
+     * @memberOf Naming
+     * @function toLabel
+     *
+     * @param {string} id
+     *
+     * @returns {string}
+     */
+    function toLabel(id) {
+        var label = toWords(id).join(' ').toLowerCase();
+
+        return label.charAt(0).toUpperCase() + label.substr(1);
+    }
+
+    module.exports = {
+        toPascalCase    : toPascalCase,
+        toLabel         : toLabel
+    };
+})(module);
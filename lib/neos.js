@@ -0,0 +1,259 @@
+/**
+ * @module patternlab2domain
+ * @author Moritz Spindelhirn [m.spindelhirn@cashiers-check.de]
+ * @namespace Neos
+ */
+(function(module) {
+    'use strict';
+
+    var extend = require('extend'),
+        util = require('util'),
+        path = require('path'),
+        yaml = require('js-yaml'),
+        Writer = require('./writer').Writer,
+        fieldTypes = require('./parser').fieldTypes,
+        sampleTypes = require('./data').sampleTypes,
+        naming = require('./naming');
+
+    /**
+     * Neos writer default options
+     *
+     * @memberOf Neos
+     *
+     * @type {{outFile: string, namespace: string, superType: string}}
+     */
+    var neosWriterDefaultOptions = {
+
+        outFile: path.join('out', 'NodeTypes.yaml'),
+
+        /**
+         * Package key used as prefix of the node type names
+         */
+        namespace: 'Vendor.Site',
+
+        /**
+         * Super type of all generated node types
+         */
+        superType: 'Neos.Neos:Content'
+    };
+
+    /**
+     * Keys of the `neos` meta information of a field which belong to the property itself.
+     * All other keys are merged into the `ui` configuration of the property.
+     *
+     * @memberOf Neos
+     * @private
+     *
+     * @type {string[]}
+     */
+    var propertyKeys = ['type', 'defaultValue', 'validation'];
+
+    /**
+     * Writer for a Neos CMS `NodeTypes.yaml`.
+     * Every element becomes a node type, fields become properties and relations become child nodes. Sections containing
+     * relations become content collections constrained to the included node types.
+     * The `neos` key of the `cr:element` and `cr:node` meta information is merged into the generated configuration.
+     *
+     * @memberOf Neos
+     * @namespace Neos.NeosWriter
+     *
+     * @param {{}} options
+     * @constructor
+     */
+    function NeosWriter(options) {
+        Writer.call(this, extend({}, neosWriterDefaultOptions, options));
+
+        /**
+         * Get the node type name of a node id.
+         *
+         * @memberOf Neos.NeosWriter
+         * @function toNodeTypeName
+         * @private
+         *
+         * @param {string} id
+         *
+         * @returns {string}
+         */
+        this.toNodeTypeName = function(id) {
+            return this.options.namespace + ':' + naming.toPascalCase(id);
+        };
+
+        /**
+         * Create the property configuration of a field.
+         *
+         * @memberOf Neos.NeosWriter
+         * @function fieldToProperty
+         * @private
+         *
+         * @param {Parser.Field} field
+         *
+         * @returns {{}}
+         */
+        this.fieldToProperty = function(field) {
+            var property = {
+                    type: 'string',
+                    ui: {
+                        label: field.options.label || naming.toLabel(field.name),
+                        reloadIfChanged: true
+                    }
+                },
+                sampleType = field.sample ? field.sample.type : null;
+
+            if(field.options.description) {
+                property.ui.help = { message: field.options.description };
+            }
+
+            if(field.options.required) {
+                property.validation = { 'Neos.Neos/Validation/NotEmptyValidator': {} };
+            }
+
+            switch(true) {
+                case (field.options.type === fieldTypes.BOOLEAN):
+                    property.type = 'boolean';
+                    property.ui.inspector = { group: 'general' };
+                    break;
+
+                case (field.options.type === fieldTypes.LIST || field.options.type === fieldTypes.OBJECT):
+                    property.type = 'array';
+                    property.ui.inspector = { group: 'general' };
+                    break;
+
+                case (sampleType === sampleTypes.IMAGE):
+                    property.type = 'Neos\\Media\\Domain\\Model\\ImageInterface';
+                    property.ui.inspector = { group: 'general' };
+                    break;
+
+                case (sampleType === sampleTypes.URL):
+                    property.ui.inspector = {
+                        group: 'general',
+                        editor: 'Neos.Neos/Inspector/Editors/LinkEditor'
+                    };
+                    break;
+
+                case (field.options.type === fieldTypes.HTML):
+                    property.ui.inlineEditable = true;
+                    break;
+
+                default:
+                    property.ui.inspector = { group: 'general' };
+                    break;
+            }
+
+            var neosInfo = field.options.neos || {};
+            Object.keys(neosInfo).forEach(function(key) {
+                if(propertyKeys.indexOf(key) !== -1) {
+                    property[key] = neosInfo[key];
+                } else {
+                    property.ui[key] = neosInfo[key];
+                }
+            });
+
+            // inline editable properties are edited in the content, not in the inspector
+            if(property.ui.inlineEditable) {
+                delete property.ui.inspector;
+            }
+
+            return property;
+        };
+
+        /**
+         * Create the node type configuration of an element.
+         *
+         * @memberOf Neos.NeosWriter
+         * @function nodeToNodeType
+         * @private
+         *
+         * @param {Builder.CrNode} crNode
+         *
+         * @returns {{}}
+         */
+        this.nodeToNodeType = function(crNode) {
+            var $this = this,
+                nodeType = {
+                    superTypes: {},
+                    ui: {
+                        label: crNode.info.label || naming.toLabel(crNode.id),
+                        icon: 'icon-cube',
+                        inspector: {
+                            groups: {
+                                general: { label: 'General' }
+                            }
+                        }
+                    },
+                    properties: {},
+                    childNodes: {}
+                };
+
+            nodeType.superTypes[$this.options.superType] = true;
+
+            if(crNode.info.description) {
+                nodeType.ui.help = { message: crNode.info.description };
+            }
+
+            crNode.fields.forEach(function(field) {
+                // sections with includes are content collections of the included node types
+                if(field.relations.length > 0) {
+                    var constraints = { '*': false };
+                    field.relations.forEach(function(include) {
+                        constraints[$this.toNodeTypeName(include.name)] = true;
+                    });
+
+                    nodeType.childNodes[field.name] = {
+                        type: 'Neos.Neos:ContentCollection',
+                        constraints: {
+                            nodeTypes: constraints
+                        }
+                    };
+                    return;
+                }
+
+                nodeType.properties[field.name] = $this.fieldToProperty(field);
+            });
+
+            crNode.relations.forEach(function(include) {
+                var name = (include.options && include.options.name) || include.name;
+                nodeType.childNodes[name] = {
+                    type: $this.toNodeTypeName(include.name)
+                };
+            });
+
+            if(Object.keys(nodeType.properties).length === 0) {
+                delete nodeType.properties;
+            }
+            if(Object.keys(nodeType.childNodes).length === 0) {
+                delete nodeType.childNodes;
+            }
+
+            return extend(true, nodeType, crNode.info.neos || {});
+        };
+    }
+    util.inherits(NeosWriter, Writer);
+
+    /**
+     * Serialize the domain model as Neos `NodeTypes.yaml`.
+     *
+     * @memberOf Neos.NeosWriter
+     * @function serialize
+     *
+     * @param {{schemaVersion: number, elements: {}[]}} model
+     *
+     * @returns {string}
+     */
+    NeosWriter.prototype.serialize = function(model) {
+        var $this = this,
+            nodeTypes = {};
+
+        model.elements.forEach(function(crNode) {
+            nodeTypes[$this.toNodeTypeName(crNode.id)] = $this.nodeToNodeType(crNode);
+        });
+
+        return yaml.safeDump(nodeTypes, {
+            indent: this.options.pretty || 2
+        });
+    };
+
+    // expose Neos writer as public API
+    module.exports = {
+        NeosWriter: NeosWriter
+    };
+})(module);
@@ -9,8 +9,46 @@
     var Mustache = require('mustache'),
         extend = require('extend'),
         fs = require('fs'),
+        path = require('path'),
         util = require('util'),
-        events = require('events');
+        events = require('events'),
+        Diagnostic = require('./diagnostics').Diagnostic,
+        severities = require('./diagnostics').severities,
+        getPosition = require('./diagnostics').getPosition,
+        fieldTypes = require('./fieldTypes').fieldTypes,
+        validateInfo = require('./metadata').validateInfo,
+        removeUnknownKeys = require('./metadata').removeUnknownKeys;
+
+    /**
+     * Default options for the {@link Parser.Parser Parser} class.
+     *
+     * @memberOf Parser
+     * @namespace Parser.parserDefaultOptions
+     *
+     * @type {{}}
+     */
+    var parserDefaultOptions = {
+
+        /**
+         * Delimiters the templates start with, e.g. `['<%', '%>']` or `'<% %>'`.
+         * Delimiter changes like `{{=<% %>=}}` inside a template are honoured in any case.
+         *
+         * @memberOf Parser.parserDefaultOptions
+         *
+         * @type {string[]|string|null}
+         */
+        tags: null,
+
+        /**
+         * Metadata of the template from sidecar files, see {@link Metadata.readMetadata}.
+         * The options of a field are keyed by its dotted path and overwritten by `cr:element` comments.
+         *
+         * @memberOf Parser.parserDefaultOptions
+         *
+         * @type {{fields: Object.<string, {}>}|null}
+         */
+        metadata: null
+    };
 
     /**
      * Default options for the {@link Field} class.
@@ -29,7 +67,17 @@
          *
          * @type {boolean}
          */
-        iterable: false
+        iterable: false,
+
+        /**
+         * Type of the field.
+         * See {@link FieldTypes.fieldTypes} for all known types.
+         *
+         * @memberOf Parser.parserFieldDefaultOptions
+         *
+         * @type {string}
+         */
+        type: fieldTypes.TEXT
     };
 
     /**
@@ -66,8 +114,86 @@
          * @type {Parser.parserFieldDefaultOptions}
          */
         this.options = extend(true, {}, parserFieldDefaultOptions, options);
+
+        /**
+         * Flag if the type and the iterable flag are inferred from the template and not given by meta information.
+         * A mustache section typed as `list` may as well open a single object.
+         *
+         * @name typeInferred
+         * @memberOf Parser.Field
+         *
+         * @type {boolean}
+         */
+        this.typeInferred = true;
+
+        /**
+         * Fields referenced inside the section opened by this field.
+         *
+         * @name fields
+         * @memberOf Parser.Field
+         *
+         * @type {Parser.Field[]}
+         */
+        this.fields = [];
+
+        /**
+         * Includes used inside the section opened by this field.
+         *
+         * @name relations
+         * @memberOf Parser.Field
+         *
+         * @type {Parser.Include[]}
+         */
+        this.relations = [];
+
+        /**
+         * Sample value taken from the patternlab data files.
+         * Null if no data file provides a value for this field.
+         *
+         * @name sample
+         * @memberOf Parser.Field
+         *
+         * @type {{type: string, value: *}|null}
+         */
+        this.sample = null;
     }
 
+    /**
+     * Add a nested field to the section.
+     *
+     * @throws {TypeError} Throws an {@link TypeError} if the given field is not an instance of {@link Field}.
+     *
+     * @function addField
+     * @memberOf Parser.Field
+     *
+     * @param {Parser.Field} field
+     */
+    Field.prototype.addField = function(field) {
+        if(!(field instanceof Field)) {
+            throw new TypeError('Fields must be instances of Field.');
+        }
+
+        this.fields.push(field);
+    };
+
+    /**
+     * Add an include used inside the section as a relation of the field.
+     *
+     * @throws {TypeError} Throws an {@link TypeError} if the given include is not an instance of {@link Include}.
+     *
+     * @function addRelation
+     * @memberOf Parser.Field
+     *
+     * @param {Parser.Include} include
+     */
+    Field.prototype.addRelation = function(include) {
+        if(!(include instanceof Include)) {
+            throw new TypeError('Relation object must be instances of Include.');
+        }
+
+        this.relations.push(include);
+    };
+
 
     /**
      * Mustache includes are translated to relations between nodes.
@@ -79,8 +205,10 @@
      * @constructor
      * @param {string} name
      * @param {{}} info
+     * @param {{variant: string, modifiers: string[], parameters: {}, template: string}} [reference] Details of the include reference
      */
-    function Include(name, info) {
+    function Include(name, info, reference) {
+        reference = reference || {};
 
         /**
          * name of the field
@@ -101,6 +229,165 @@
          * @type {{}}
          */
         this.options = info;
+
+        /**
+         * Name of the pseudo-pattern variant if the include references one like `molecules-teaser~featured`.
+         *
+         * @name variant
+         * @memberOf Parser.Include
+         *
+         * @type {string|null}
+         */
+        this.variant = reference.variant || null;
+
+        /**
+         * Style modifiers given with the `:modifier` or `:modifier|other` syntax.
+         *
+         * @name modifiers
+         * @memberOf Parser.Include
+         *
+         * @type {string[]}
+         */
+        this.modifiers = reference.modifiers || [];
+
+        /**
+         * Pattern parameters given with the `(key: "value")` syntax.
+         *
+         * @name parameters
+         * @memberOf Parser.Include
+         *
+         * @type {{}}
+         */
+        this.parameters = reference.parameters || {};
+
+        /**
+         * Template path relative to the pattern directory if the include uses the path syntax
+         * like `01-molecules/02-blocks/00-media-block`. Null for includes by pattern id.
+         *
+         * @name template
+         * @memberOf Parser.Include
+         *
+         * @type {string|null}
+         */
+        this.template = reference.template || null;
+
+        /**
+         * Flag if the include closes a cycle in the include graph.
+         *
+         * @name recursive
+         * @memberOf Parser.Include
+         *
+         * @type {boolean}
+         */
+        this.recursive = false;
+    }
+
+    /**
+     * Convert the raw value of a pattern parameter to a javascript value.
+     *
+     * @memberOf Parser
+     * @function parseParameterValue
+     * @private
+     *
+     * @param {string} value
+     *
+     * @returns {*}
+     */
+    function parseParameterValue(value) {
+        var quote = value.charAt(0);
+
+        switch(true) {
+            case ((quote === '"' || quote === '\'') && value.charAt(value.length - 1) === quote):
+                return value.substr(1, value.length - 2).replace(/\\(.)/g, '$1');
+
+            case (value === 'true' || value === 'false'):
+                return value === 'true';
+
+            case (value !== '' && !isNaN(Number(value))):
+                return Number(value);
+
+            default:
+                return value;
+        }
+    }
+
+    /**
+     * Parse the pattern parameters of an include like `headline: "x", count: 3`.
+     *
+     * @memberOf Parser
+     * @function parseParameters
+     * @private
+     *
+     * @param {string} value
+     *
+     * @returns {{}}
+     */
+    function parseParameters(value) {
+        var regex = /\s*([\w\-]+)\s*:\s*("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|[^,]*?)\s*(?:,|$)/g,
+            parameters = {},
+            match;
+
+        while((match = regex.exec(value)) !== null && match[0].length > 0) {
+            parameters[match[1]] = parseParameterValue(match[2]);
+        }
+
+        return parameters;
+    }
+
+    /**
+     * Normalise the value of a mustache include.
+     * Supports the patternlab syntax `type-name~variant:modifier|other(key: "value")` as well as path style
+     * includes like `01-molecules/02-blocks/00-media-block` which are converted to the pattern id `molecules-media-block`.
+     *
+     * @memberOf Parser
+     * @function parseInclude
+     * @private
+     *
+     * @param {string} value
+     *
+     * @returns {{name: string, variant: string|null, modifiers: string[], parameters: {}, template: string|null}}
+     */
+    function parseInclude(value) {
+        var reference = {
+                variant: null,
+                modifiers: [],
+                parameters: {},
+                template: null
+            },
+            name = value.trim(),
+            parameterPos = name.indexOf('(');
+
+        if(parameterPos !== -1) {
+            reference.parameters = parseParameters(name.substring(parameterPos + 1, name.lastIndexOf(')')));
+            name = name.substr(0, parameterPos).trim();
+        }
+
+        var modifierPos = name.indexOf(':');
+        if(modifierPos !== -1) {
+            reference.modifiers = name.substr(modifierPos + 1).split('|').filter(function(modifier) {
+                return modifier.length > 0;
+            });
+            name = name.substr(0, modifierPos);
+        }
+
+        var variantPos = name.indexOf('~');
+        if(variantPos !== -1) {
+            reference.variant = name.substr(variantPos + 1);
+            name = name.substr(0, variantPos);
+        }
+
+        if(name.indexOf('/') !== -1) {
+            var segments = name.split('/'),
+                stripPrefix = function(segment) {
+                    return segment.replace(/^[0-9]+-/, '');
+                };
+
+            reference.template = name;
+            name = stripPrefix(segments[0]) + '-' + stripPrefix(path.basename(segments[segments.length - 1], path.extname(name)));
+        }
+
+        reference.name = name;
+        return reference;
     }
 
     /**
@@ -111,16 +398,28 @@
      * @fires Parser#field
      * @fires Parser#end
      * @fires Parser#nodeinfo
+     * @fires Parser#diagnostic
      *
      * @memberOf Parser
      * @namespace Parser.Parser
      *
      * @constructor
      * @param {string} file Absolute file path to mustache template
+     * @param {{}} [options] See {@link Parser.parserDefaultOptions}
      */
-    function Parser(file) {
+    function Parser(file, options) {
         events.EventEmitter.call(this);
 
+        /**
+         * Parser options
+         *
+         * @name options
+         * @memberOf Parser.Parser
+         *
+         * @type {Parser.parserDefaultOptions}
+         */
+        this.options = extend({}, parserDefaultOptions, options);
+
         /**
          * File path to parse
          *
@@ -130,30 +429,116 @@
          * @type {string}
          */
         this.file = file;
-    }
-    util.inherits(Parser, events.EventEmitter);
 
-    /**
-     * Main parsing method.
-     * Uses mustache to do the basic parsing. Then walk through the tokens and handle imports and all that.
-     *
-     * @function parse
-     * @memberOf Parser.Parser
-     */
-    Parser.prototype.parse = function() {
-        var $this = this;
-        fs.readFile(this.file, function(err, content) {
-            if(err) {
-                $this.emit('error', err);
-                return;
+        /**
+         * Content of the template, available after reading the file.
+         *
+         * @name content
+         * @memberOf Parser.Parser
+         *
+         * @type {string}
+         */
+        this.content = '';
+
+        /**
+         * Get the location of a mustache token offset in the template.
+         *
+         * @function getLocation
+         * @memberOf Parser.Parser
+         * @private
+         *
+         * @param {Number} offset
+         *
+         * @returns {{file: string, line: Number, column: Number}}
+         */
+        this.getLocation = function(offset) {
+            var position = getPosition(this.content, offset);
+
+            return {
+                file: this.file,
+                line: position.line,
+                column: position.column
+            };
+        };
+
+        /**
+         * Parse the JSON meta information of a `cr:` comment.
+         * Invalid JSON is reported as a diagnostic and results in null. Unknown keys and values of the wrong type are
+         * reported as well, see {@link Metadata.validateInfo}, and unknown keys are removed.
+         *
+         * @function parseInfo
+         * @memberOf Parser.Parser
+         * @private
+         *
+         * @param {string} json
+         * @param {Array} token Comment token used for the location of the diagnostic
+         * @param {string} scope `cr:node` or `cr:element`
+         *
+         * @returns {{}|null}
+         */
+        this.parseInfo = function(json, token, scope) {
+            var $this = this,
+                info;
+
+            try {
+                info = JSON.parse(json);
+            } catch (e) {
+                this.emit('diagnostic', new Diagnostic(severities.ERROR, 'invalid-metadata', 'Invalid JSON in comment: ' + e.message, this.getLocation(token[2])));
+                return null;
             }
 
-            // parse template with mustache
-            var parsed = Mustache.parse(content.toString()),
-                lastInfo = null;
+            validateInfo(scope, info).forEach(function(problem) {
+                $this.emit('diagnostic', new Diagnostic(problem.severity, problem.code, problem.message, $this.getLocation(token[2])));
+            });
+
+            return (info !== null && typeof info === 'object' && !Array.isArray(info)) ? removeUnknownKeys(scope, info) : null;
+        };
+
+        /**
+         * Get the meta information of a field.
+         * The `cr:element` comment overwrites the metadata of the sidecar files.
+         *
+         * @function getFieldInfo
+         * @memberOf Parser.Parser
+         * @private
+         *
+         * @param {string} path Dotted path of the field
+         * @param {{}|null} info Meta information of the preceding `cr:element` comment
+         *
+         * @returns {{}}
+         */
+        this.getFieldInfo = function(path, info) {
+            var fields = (this.options.metadata && this.options.metadata.fields) || {};
+
+            return extend(true, {}, fields[path] || {}, info || {});
+        };
+
+        /**
+         * Walk through a list of mustache tokens and emit the found fields and includes.
+         * Sections are walked recursively. Everything found inside a section is attached to the
+         * {@link Parser.Field field} of that section instead of being emitted on its own.
+         * Parsers for other template languages create the same tokens plus `each` for loops, `with` for object
+         * sections and `if` for conditions, which like inverted sections do not push a new context.
+         *
+         * @function walkTokens
+         * @memberOf Parser.Parser
+         * @private
+         *
+         * @param {Array} tokens Mustache tokens
+         * @param {Parser.Field} [parentField] Field of the enclosing section
+         * @param {string} [prefix] Path of the enclosing sections like `teasers.`
+         *
+         * @returns {Number} number of variables and includes referenced in the current context
+         */
+        this.walkTokens = function(tokens, parentField, prefix) {
+            var $this = this,
+                lastInfo = null,
+                references = 0;
+
+            prefix = prefix || '';
 
             // walk through all the tokens the mustache parser found
-            parsed.forEach(function(b) {
+            tokens.forEach(function(b) {
                 if(b && b.length > 0) {
                     switch(b[0]) {
 
@@ -165,61 +550,198 @@
                             var value = b[1];
                             switch(true) {
                                 case (value.substr(0, 'cr:element'.length) === 'cr:element'):
-                                    lastInfo = JSON.parse(value.substr('cr:element'.length + 1));
+                                    lastInfo = $this.parseInfo(value.substr('cr:element'.length + 1), b, 'cr:element');
                                     break;
 
                                 case (value.substr(0, 'cr:node'.length) === 'cr:node'):
-                                    var opts = JSON.parse(value.substr('cr:node'.length + 1));
-                                    $this.emit('nodeinfo', opts);
+                                    var opts = $this.parseInfo(value.substr('cr:node'.length + 1), b, 'cr:node');
+                                    if(opts !== null) {
+                                        $this.emit('nodeinfo', opts);
+                                    }
                                     break;
                             }
                             break;
 
                         /**
                          * Handle imports
+                         * Includes inside a section are emitted with the field of the section and every include
+                         * is emitted with its location in the template
                          */
                         case '>':
+                            var reference = parseInclude(b[1]);
+
                             // provide basic fallback
                             if(lastInfo === null) {
                                 lastInfo = {
-                                    name: b[1]
+                                    name: reference.name
                                 };
                             }
-                            $this.emit('include', new Include(b[1], lastInfo));
+                            $this.emit('include', new Include(reference.name, lastInfo, reference), parentField || null, $this.getLocation(b[2]));
                             lastInfo = null;
+                            references++;
                             break;
 
                         /**
                          * Handle for-loops
+                         * A section without any references inside is just a condition
                          */
                         case '#':
-                            if(lastInfo === null) {
-                                lastInfo = {};
+                        case 'each':
+                        case 'with':
+                            lastInfo = $this.getFieldInfo(prefix + b[1], lastInfo);
+                            var iteraField = new Field(b[1], extend({}, lastInfo)),
+                                innerReferences = $this.walkTokens(b[4] || [], iteraField, prefix + b[1] + '.'),
+                                sectionType = innerReferences > 0 ? fieldTypes.LIST : fieldTypes.BOOLEAN;
+
+                            if(b[0] !== '#') {
+                                sectionType = (b[0] === 'each') ? fieldTypes.LIST : fieldTypes.OBJECT;
                             }
-                            var defaultOpts = {
-                                iterable: true
-                            };
-                            var iteraField = new Field(b[1], extend(defaultOpts, lastInfo));
-                            $this.emit('field', iteraField);
+                            $this.typeField(iteraField, lastInfo, sectionType);
+                            $this.addField(iteraField, parentField);
+                            lastInfo = null;
+                            references++;
+                            break;
+
+                        /**
+                         * Handle inverted sections
+                         * Inverted sections do not push a new context so the nested tokens belong to the parent
+                         */
+                        case '^':
+                        case 'if':
+                            lastInfo = $this.getFieldInfo(prefix + b[1], lastInfo);
+                            var invertedField = new Field(b[1], extend({}, lastInfo));
+                            $this.typeField(invertedField, lastInfo, fieldTypes.BOOLEAN);
                             lastInfo = null;
+
+                            $this.addField(invertedField, parentField);
+                            references += 1 + $this.walkTokens(b[4] || [], parentField, prefix);
                             break;
 
                         /**
-                         * Handle normal variable fields
+                         * Handle normal and unescaped variable fields
+                         * The implicit iterator `{{.}}` is only counted as a reference of the section
                          */
                         case 'name':
-                            if(lastInfo === null) {
-                                lastInfo =  {};
+                        case '&':
+                            if(b[1] !== '.') {
+                                lastInfo = $this.getFieldInfo(prefix + b[1], lastInfo);
+                                var field = new Field(b[1], extend({}, lastInfo));
+                                $this.typeField(field, lastInfo, b[0] === '&' ? fieldTypes.HTML : fieldTypes.TEXT);
+                                $this.addField(field, parentField);
                             }
-                            var field = new Field(b[1], extend({}, lastInfo));
-                            $this.emit('field', field);
                             lastInfo = null;
+                            references++;
                             break;
 
                     }
                 }
             });
 
+            return references;
+        };
+
+        /**
+         * Set the inferred type of a field unless the meta information already defines one.
+         * The iterable flag follows the type unless it is given by the meta information as well.
+         *
+         * @function typeField
+         * @memberOf Parser.Parser
+         * @private
+         *
+         * @param {Parser.Field} field
+         * @param {{}} info Meta information of the preceding `cr:element` comment
+         * @param {string} inferredType
+         */
+        this.typeField = function(field, info, inferredType) {
+            field.typeInferred = !info.hasOwnProperty('type') && !info.hasOwnProperty('iterable');
+
+            if(!info.hasOwnProperty('type')) {
+                field.options.type = inferredType;
+            }
+
+            if(!info.hasOwnProperty('iterable')) {
+                field.options.iterable = (field.options.type === fieldTypes.LIST);
+            }
+        };
+
+        /**
+         * Attach a field to the enclosing section or emit it as a field of the template.
+         *
+         * @function addField
+         * @memberOf Parser.Parser
+         * @private
+         *
+         * @param {Parser.Field} field
+         * @param {Parser.Field} [parentField]
+         */
+        this.addField = function(field, parentField) {
+            if(parentField) {
+                parentField.addField(field);
+            } else {
+                this.emit('field', field);
+            }
+        };
+    }
+    util.inherits(Parser, events.EventEmitter);
+
+    /**
+     * File ending of the templates handled by the parser.
+     *
+     * @memberOf Parser.Parser
+     * @name fileEnding
+     *
+     * @type {string}
+     */
+    Parser.fileEnding = '.mustache';
+
+    /**
+     * Split the template into the token tree.
+     * Parsers for other template languages overwrite this method and convert their syntax tree into mustache tokens.
+     * Syntax errors are thrown, an `offset` property or a message ending with `at <offset>` locates the error.
+     *
+     * @function tokenize
+     * @memberOf Parser.Parser
+     *
+     * @param {string} content
+     *
+     * @returns {Array}
+     */
+    Parser.prototype.tokenize = function(content) {
+        // the cache of the shared mustache writer ignores the tags, so every template gets its own writer
+        return new Mustache.Writer().parse(content, this.options.tags || undefined);
+    };
+
+    /**
+     * Main parsing method.
+     * Uses {@link Parser.Parser.tokenize tokenize} to do the basic parsing. Then walk through the tokens and handle
+     * imports and all that.
+     *
+     * @function parse
+     * @memberOf Parser.Parser
+     */
+    Parser.prototype.parse = function() {
+        var $this = this;
+        fs.readFile(this.file, function(err, content) {
+            if(err) {
+                $this.emit('error', err);
+                return;
+            }
+
+            // parse template and walk through the token tree
+            $this.content = content.toString();
+            var parsed = null;
+            try {
+                parsed = $this.tokenize($this.content);
+            } catch (e) {
+                // mustache reports the offset of syntax errors at the end of the message
+                var offset = (typeof e.offset === 'number') ? [null, e.offset] : /at ([0-9]+)$/.exec(e.message);
+                $this.emit('diagnostic', new Diagnostic(severities.ERROR, 'template-syntax', e.message, offset ? $this.getLocation(parseInt(offset[1], 10)) : { file: $this.file }));
+            }
+
+            if(parsed !== null) {
+                $this.walkTokens(parsed);
+            }
+
             $this.emit('end');
         });
     };
@@ -227,6 +749,7 @@
     module.exports = {
         Parser      : Parser,
         Field       : Field,
-        Include     : Include
+        Include     : Include,
+        fieldTypes  : fieldTypes
     };
 })(module);
\ No newline at end of file
@@ -0,0 +1,79 @@
+/**
+ * @module patternlab2domain
+ * @author Moritz Spindelhirn [m.spindelhirn@cashiers-check.de]
+ * @namespace Parsers
+ */
+(function(module) {
+    'use strict';
+
+    var path = require('path'),
+        Parser = require('./parser').Parser,
+        HandlebarsParser = require('./handlebars').HandlebarsParser,
+        TwigParser = require('./twig').TwigParser;
+
+    /**
+     * Template languages mapped to their parser class.
+     *
+     * @memberOf Parsers
+     *
+     * @type {Object.<string, function>}
+     */
+    var parsers = {
+        mustache: Parser,
+        handlebars: HandlebarsParser,
+        twig: TwigParser
+    };
+
+    /**
+     * File endings mapped to the template language.
+     *
+     * @memberOf Parsers
+     *
+     * @type {Object.<string, string>}
+     */
+    var fileEndings = {
+        '.mustache': 'mustache',
+        '.hbs': 'handlebars',
+        '.handlebars': 'handlebars',
+        '.twig': 'twig'
+    };
+
+    /**
+     * Get the parser class of a template language.
+     *
+     * @memberOf Parsers
+     * @function getParser
+     *
+     * @param {string} name
+     *
+     * @returns {function|null}
+     */
+    function getParser(name) {
+        return parsers.hasOwnProperty(name) ? parsers[name] : null;
+    }
+
+    /**
+     * Get the parser class for a template file by its file ending.
+     * Unknown file endings are parsed as mustache.
+     *
+     * @memberOf Parsers
+     * @function getParserByFile
+     *
+     * @param {string} file
+     *
+     * @returns {function}
+     */
+    function getParserByFile(file) {
+        var ext = path.extname(file);
+
+        return fileEndings.hasOwnProperty(ext) ? parsers[fileEndings[ext]] : Parser;
+    }
+
+    // expose parsers as public API
+    module.exports = {
+        parsers         : parsers,
+        fileEndings     : fileEndings,
+        getParser       : getParser,
+        getParserByFile : getParserByFile
+    };
+})(module);
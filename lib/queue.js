@@ -0,0 +1,199 @@
+/**
+ * @module patternlab2domain
+ * @author Moritz Spindelhirn [m.spindelhirn@cashiers-check.de]
+ * @namespace Queue
+ */
+(function(module) {
+    'use strict';
+
+    var util = require('util'),
+        events = require('events'),
+        Q = require('q');
+
+    /**
+     * Work queue for asynchronous jobs.
+     * A job is a function returning a promise. Jobs may push new jobs while they are running.
+     * The queue is drained when no job is waiting or running anymore.
+     *
+     * @fires Queue.JobQueue#drain
+     *
+     * @memberOf Queue
+     * @namespace Queue.JobQueue
+     *
+     * @constructor
+     * @param {Number} [concurrency] Maximum number of running jobs, 0 for no limit
+     */
+    function JobQueue(concurrency) {
+        events.EventEmitter.call(this);
+
+        /**
+         * Maximum number of running jobs, 0 for no limit
+         *
+         * @name concurrency
+         * @memberOf Queue.JobQueue
+         *
+         * @type {Number}
+         */
+        this.concurrency = concurrency || 0;
+
+        /**
+         * Jobs waiting to be run
+         *
+         * @name pending
+         * @memberOf Queue.JobQueue
+         *
+         * @type {Array}
+         */
+        this.pending = [];
+
+        /**
+         * Number of running jobs
+         *
+         * @name running
+         * @memberOf Queue.JobQueue
+         *
+         * @type {Number}
+         */
+        this.running = 0;
+
+        /**
+         * Number of finished jobs
+         *
+         * @name finished
+         * @memberOf Queue.JobQueue
+         *
+         * @type {Number}
+         */
+        this.finished = 0;
+
+        /**
+         * Errors of all failed jobs
+         *
+         * @name failures
+         * @memberOf Queue.JobQueue
+         *
+         * @type {Error[]}
+         */
+        this.failures = [];
+
+        /**
+         * Run waiting jobs until the concurrency limit is reached.
+         *
+         * @function next
+         * @memberOf Queue.JobQueue
+         * @private
+         */
+        this.next = function() {
+            var $this = this;
+
+            while($this.pending.length > 0 && ($this.concurrency === 0 || $this.running < $this.concurrency)) {
+                $this.run($this.pending.shift());
+            }
+        };
+
+        /**
+         * Run a single job and settle its deferred.
+         *
+         * @function run
+         * @memberOf Queue.JobQueue
+         * @private
+         *
+         * @param {{job: function, deferred: {}}} entry
+         */
+        this.run = function(entry) {
+            var $this = this;
+
+            $this.running++;
+            Q.fcall(entry.job).then(function(result) {
+                entry.deferred.resolve(result);
+            }, function(err) {
+                $this.failures.push(err);
+                entry.deferred.reject(err);
+            }).fin(function() {
+                $this.running--;
+                $this.finished++;
+                $this.next();
+                $this.checkDrain();
+            });
+        };
+
+        /**
+         * Emit the `drain` event if the queue is idle.
+         * The check is deferred so handlers of the last job can push further jobs first.
+         *
+         * @function checkDrain
+         * @memberOf Queue.JobQueue
+         * @private
+         */
+        this.checkDrain = function() {
+            var $this = this;
+
+            setImmediate(function() {
+                if($this.isIdle()) {
+                    $this.emit('drain');
+                }
+            });
+        };
+    }
+    util.inherits(JobQueue, events.EventEmitter);
+
+    /**
+     * Add a job to the queue.
+     *
+     * @function push
+     * @memberOf Queue.JobQueue
+     *
+     * @param {function} job Function returning a promise or a value
+     *
+     * @returns {Promise} Settled with the result of the job
+     */
+    JobQueue.prototype.push = function(job) {
+        var deferred = Q.defer();
+
+        this.pending.push({
+            job: job,
+            deferred: deferred
+        });
+        this.next();
+
+        return deferred.promise;
+    };
+
+    /**
+     * Return true if no job is waiting or running.
+     *
+     * @function isIdle
+     * @memberOf Queue.JobQueue
+     *
+     * @returns {boolean}
+     */
+    JobQueue.prototype.isIdle = function() {
+        return this.pending.length === 0 && this.running === 0;
+    };
+
+    /**
+     * Wait until the queue is idle.
+     *
+     * @function whenIdle
+     * @memberOf Queue.JobQueue
+     *
+     * @returns {Promise}
+     */
+    JobQueue.prototype.whenIdle = function() {
+        var $this = this,
+            deferred = Q.defer(),
+            onDrain = function() {
+                $this.removeListener('drain', onDrain);
+                deferred.resolve();
+            };
+
+        $this.on('drain', onDrain);
+        $this.checkDrain();
+
+        return deferred.promise;
+    };
+
+    module.exports = {
+        JobQueue: JobQueue
+    };
+})(module);
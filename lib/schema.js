@@ -0,0 +1,197 @@
+/**
+ * @module patternlab2domain
+ * @author Moritz Spindelhirn [m.spindelhirn@cashiers-check.de]
+ * @namespace Schema
+ */
+(function(module) {
+    'use strict';
+
+    var extend = require('extend'),
+        util = require('util'),
+        path = require('path'),
+        Writer = require('./writer').Writer,
+        fieldTypes = require('./parser').fieldTypes,
+        sampleTypes = require('./data').sampleTypes;
+
+    /**
+     * Schema writer default options
+     *
+     * @memberOf Schema
+     *
+     * @type {{outFile: string, pretty: number, definitionsPath: string}}
+     */
+    var schemaWriterDefaultOptions = {
+
+        outFile: path.join('out', 'model.schema.json'),
+
+        /**
+         * JSON pointer prefix of the element definitions used for the `$ref`s of relations
+         */
+        definitionsPath: '#/definitions/'
+    };
+
+    /**
+     * Writer for a JSON Schema of the domain model.
+     * Every element becomes a definition, fields become typed properties and relations become `$ref`s to the
+     * definition of the included element.
+     *
+     * @memberOf Schema
+     * @namespace Schema.SchemaWriter
+     *
+     * @param {{}} options
+     * @constructor
+     */
+    function SchemaWriter(options) {
+        Writer.call(this, extend({}, schemaWriterDefaultOptions, options));
+
+        /**
+         * Create the schema of a field.
+         *
+         * @memberOf Schema.SchemaWriter
+         * @function fieldToSchema
+         * @private
+         *
+         * @param {Parser.Field} field
+         *
+         * @returns {{}}
+         */
+        this.fieldToSchema = function(field) {
+            var schema;
+
+            switch(field.options.type) {
+                case fieldTypes.BOOLEAN:
+                    schema = { type: 'boolean' };
+                    break;
+
+                case fieldTypes.LIST:
+                    // loops over scalar values like `{{.}}` have no fields, so their items are left unconstrained
+                    schema = {
+                        type: 'array',
+                        items: (field.fields.length > 0 || field.relations.length > 0) ? this.containerToSchema(field) : {}
+                    };
+                    break;
+
+                case fieldTypes.OBJECT:
+                    schema = this.containerToSchema(field);
+                    break;
+
+                case fieldTypes.HTML:
+                    schema = {
+                        type: 'string',
+                        contentMediaType: 'text/html'
+                    };
+                    break;
+
+                default:
+                    schema = { type: 'string' };
+                    break;
+            }
+
+            if(field.sample && schema.type === 'string') {
+                switch(field.sample.type) {
+                    case sampleTypes.NUMBER:
+                        schema.type = ['string', 'number'];
+                        break;
+
+                    case sampleTypes.URL:
+                    case sampleTypes.IMAGE:
+                        schema.format = 'uri-reference';
+                        break;
+                }
+            }
+
+            // iterable fields of other types than list are arrays of the type
+            if(field.options.iterable && field.options.type !== fieldTypes.LIST) {
+                schema = {
+                    type: 'array',
+                    items: schema
+                };
+            }
+
+            if(field.options.label) {
+                schema.title = field.options.label;
+            }
+
+            if(field.options.description) {
+                schema.description = field.options.description;
+            }
+
+            if(field.sample && field.sample.value !== undefined) {
+                schema.examples = [field.sample.value];
+            }
+
+            return schema;
+        };
+
+        /**
+         * Create the object schema of an element or section with its fields and relations as properties.
+         *
+         * @memberOf Schema.SchemaWriter
+         * @function containerToSchema
+         * @private
+         *
+         * @param {Builder.CrNode|Parser.Field} container
+         *
+         * @returns {{}}
+         */
+        this.containerToSchema = function(container) {
+            var $this = this,
+                schema = {
+                    type: 'object',
+                    properties: {}
+                };
+
+            container.fields.forEach(function(field) {
+                schema.properties[field.name] = $this.fieldToSchema(field);
+
+                if(field.options.required && (schema.required || []).indexOf(field.name) === -1) {
+                    schema.required = (schema.required || []).concat([field.name]);
+                }
+            });
+
+            container.relations.forEach(function(include) {
+                var name = (include.options && include.options.name) || include.name;
+                schema.properties[name] = {
+                    $ref: $this.options.definitionsPath + include.name
+                };
+            });
+
+            return schema;
+        };
+    }
+    util.inherits(SchemaWriter, Writer);
+
+    /**
+     * Serialize the domain model as JSON Schema.
+     *
+     * @memberOf Schema.SchemaWriter
+     * @function serialize
+     *
+     * @param {{schemaVersion: number, elements: {}[]}} model
+     *
+     * @returns {string}
+     */
+    SchemaWriter.prototype.serialize = function(model) {
+        var $this = this,
+            schema = {
+                $schema: 'http://json-schema.org/draft-07/schema#',
+                title: 'Domain model',
+                definitions: {}
+            };
+
+        model.elements.forEach(function(crNode) {
+            schema.definitions[crNode.id] = extend({ title: crNode.info.label || crNode.id }, $this.containerToSchema(crNode));
+
+            if(crNode.info.description) {
+                schema.definitions[crNode.id].description = crNode.info.description;
+            }
+        });
+
+        return JSON.stringify(schema, null, this.options.pretty);
+    };
+
+    // expose schema writer as public API
+    module.exports = {
+        SchemaWriter: SchemaWriter
+    };
+})(module);
@@ -0,0 +1,392 @@
+/**
+ * @module patternlab2domain
+ * @author Moritz Spindelhirn [m.spindelhirn@cashiers-check.de]
+ * @namespace Twig
+ */
+(function(module) {
+    'use strict';
+
+    var util = require('util'),
+        path = require('path'),
+        Parser = require('./parser').Parser,
+        Diagnostic = require('./diagnostics').Diagnostic,
+        severities = require('./diagnostics').severities;
+
+    /**
+     * Tags with a body which is rendered in the current context, mapped to their end tag.
+     *
+     * @memberOf Twig
+     * @private
+     *
+     * @type {Object.<string, string>}
+     */
+    var scopeTags = {
+        block: 'endblock',
+        embed: 'endembed',
+        with: 'endwith',
+        spaceless: 'endspaceless',
+        autoescape: 'endautoescape',
+        apply: 'endapply',
+        filter: 'endfilter',
+        sandbox: 'endsandbox',
+        cache: 'endcache',
+        trans: 'endtrans',
+        guard: 'endguard'
+    };
+
+    /**
+     * Tags whose body is skipped, mapped to their end tag.
+     * Macros have their own arguments instead of fields and the content of `verbatim` is no twig at all.
+     *
+     * @memberOf Twig
+     * @private
+     *
+     * @type {Object.<string, string>}
+     */
+    var skippedTags = {
+        macro: 'endmacro',
+        verbatim: 'endverbatim'
+    };
+
+    /**
+     * Variables provided by twig itself which are no fields.
+     *
+     * @memberOf Twig
+     * @private
+     *
+     * @type {string[]}
+     */
+    var reservedNames = ['loop', '_self', '_context', 'true', 'false', 'null', 'not', 'defined', 'empty'];
+
+    /**
+     * Check if an end tag belongs to a tag with a body known to the parser.
+     *
+     * @memberOf Twig
+     * @function isKnownEndTag
+     * @private
+     *
+     * @param {string} tag
+     *
+     * @returns {boolean}
+     */
+    function isKnownEndTag(tag) {
+        return ['endfor', 'endif', 'endset'].indexOf(tag) !== -1 || Object.keys(scopeTags).some(function(name) {
+            return scopeTags[name] === tag;
+        });
+    }
+
+    /**
+     * Create a syntax error located at the offset.
+     *
+     * @memberOf Twig
+     * @function syntaxError
+     * @private
+     *
+     * @param {string} message
+     * @param {Number} offset
+     *
+     * @returns {Error}
+     */
+    function syntaxError(message, offset) {
+        var error = new Error(message + ' at ' + offset);
+        error.offset = offset;
+        return error;
+    }
+
+    /**
+     * Convert a twig include like `@molecules/00-blocks/00-teaser.twig` to the pattern id `molecules-teaser`.
+     * Pattern ids and paths relative to the pattern directory are kept.
+     *
+     * @memberOf Twig
+     * @function normalizeInclude
+     * @private
+     *
+     * @param {string} name
+     *
+     * @returns {string}
+     */
+    function normalizeInclude(name) {
+        if(name.charAt(0) !== '@') {
+            return name;
+        }
+
+        var segments = name.substr(1).split('/'),
+            last = segments[segments.length - 1];
+
+        return segments[0] + '-' + path.basename(last, path.extname(last)).replace(/^[0-9]+-/, '');
+    }
+
+    /**
+     * Parse the literal `with` parameters of an include like `with {headline: "x"}` to pattern parameters.
+     *
+     * @memberOf Twig
+     * @function parseWith
+     * @private
+     *
+     * @param {string} statement
+     *
+     * @returns {string} Parameters in the patternlab syntax `(headline: "x")` or an empty string
+     */
+    function parseWith(statement) {
+        var match = /\swith\s*\{([\s\S]*)\}/.exec(statement);
+        if(!match) {
+            return '';
+        }
+
+        var parameters = [],
+            regex = /['"]?([\w\-]+)['"]?\s*:\s*("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|true|false|-?[0-9.]+)/g,
+            pair;
+
+        while((pair = regex.exec(match[1])) !== null) {
+            parameters.push(pair[1] + ': ' + pair[2]);
+        }
+
+        return parameters.length > 0 ? '(' + parameters.join(', ') + ')' : '';
+    }
+
+    /**
+     * Parser for twig templates.
+     * Tokenizes the twig tags into the tokens of the {@link Parser.Parser mustache parser}, so both emit the same
+     * fields, includes and node information. `{% for %}` becomes a loop, `{% if %}` a condition and
+     * `{% include %}`, `{% embed %}` and `{% extends %}` become includes.
+     *
+     * @memberOf Twig
+     * @namespace Twig.TwigParser
+     *
+     * @constructor
+     * @param {string} file Absolute file path to twig template
+     * @param {{}} [options] See {@link Parser.parserDefaultOptions}
+     */
+    function TwigParser(file, options) {
+        Parser.call(this, file, options);
+
+        /**
+         * Get the field name of the first variable in an expression.
+         * Loop variables like `item` of `{% for item in items %}` refer to the current context.
+         *
+         * @function getPathName
+         * @memberOf Twig.TwigParser
+         * @private
+         *
+         * @param {string} expression
+         * @param {string[]} aliases Loop variables of the enclosing loops
+         *
+         * @returns {string|null} Name of the field, `.` for the current context or null for no field
+         */
+        this.getPathName = function(expression, aliases) {
+            var match = /^\s*(?:not\s+)?([a-zA-Z_][\w]*(?:\.[a-zA-Z_][\w]*)*)/.exec(expression.replace(/^\s*\(/, ''));
+            if(!match) {
+                return null;
+            }
+
+            var parts = match[1].split('.');
+            if(reservedNames.indexOf(parts[0]) !== -1) {
+                return null;
+            }
+
+            if(aliases.indexOf(parts[0]) !== -1) {
+                parts = parts.slice(1);
+            }
+
+            return parts.length > 0 ? parts.join('.') : '.';
+        };
+
+        /**
+         * Create the include token of an `include`, `embed` or `extends` tag or an `include()` function.
+         *
+         * @function getIncludeToken
+         * @memberOf Twig.TwigParser
+         * @private
+         *
+         * @param {string} statement
+         * @param {Number} offset
+         *
+         * @returns {Array|null}
+         */
+        this.getIncludeToken = function(statement, offset) {
+            var match = /^[\w]+\s*\(?\s*(['"])(.+?)\1/.exec(statement);
+            if(!match) {
+                return null;
+            }
+
+            return ['>', normalizeInclude(match[2]) + parseWith(statement), offset];
+        };
+    }
+    util.inherits(TwigParser, Parser);
+
+    /**
+     * File ending of twig templates.
+     *
+     * @memberOf Twig.TwigParser
+     * @name fileEnding
+     *
+     * @type {string}
+     */
+    TwigParser.fileEnding = '.twig';
+
+    /**
+     * Tokenize the twig template into mustache tokens.
+     *
+     * @function tokenize
+     * @memberOf Twig.TwigParser
+     *
+     * @throws {Error} Throws an {@link Error} with the offset of unclosed or unexpected end tags.
+     * End tags of unknown tags, e.g. of twig extensions, are reported as warnings and ignored.
+     *
+     * @param {string} content
+     *
+     * @returns {Array}
+     */
+    TwigParser.prototype.tokenize = function(content) {
+        var $this = this,
+            regex = /\{\{-?([\s\S]*?)-?\}\}|\{%-?([\s\S]*?)-?%\}|\{#([\s\S]*?)#\}/g,
+            root = { tag: null, tokens: [], aliases: [] },
+            stack = [root],
+            match;
+
+        var current = function() {
+                return stack[stack.length - 1];
+            },
+            open = function(tag, endTag, token, aliases, offset) {
+                stack.push({ tag: tag, endTag: endTag, token: token, tokens: [], aliases: aliases, offset: offset });
+            },
+            close = function(endTag, offset) {
+                var frame = current();
+                if(frame === root || frame.endTag !== endTag) {
+                    throw syntaxError('Unexpected `' + endTag + '`', offset);
+                }
+                stack.pop();
+
+                // sections keep their tokens, all other tags and the else part of loops render in the current context
+                var elseStart = frame.elseStart === undefined ? frame.tokens.length : frame.elseStart;
+                if(frame.token) {
+                    frame.token[4] = frame.tokens.slice(0, elseStart);
+                    current().tokens.push(frame.token);
+                } else {
+                    current().tokens = current().tokens.concat(frame.tokens.slice(0, elseStart));
+                }
+                current().tokens = current().tokens.concat(frame.tokens.slice(elseStart));
+            };
+
+        while((match = regex.exec(content)) !== null) {
+            var offset = match.index,
+                frame = current(),
+                name,
+                token;
+
+            // comments
+            if(match[3] !== undefined) {
+                frame.tokens.push(['!', match[3].trim(), offset]);
+                continue;
+            }
+
+            // output of variables and include functions
+            if(match[1] !== undefined) {
+                var expression = match[1].trim();
+
+                if(/^include\s*\(/.test(expression)) {
+                    token = $this.getIncludeToken(expression, offset);
+                    if(token !== null) {
+                        frame.tokens.push(token);
+                    }
+                    continue;
+                }
+
+                name = $this.getPathName(expression, frame.aliases);
+                if(name !== null) {
+                    frame.tokens.push([/\|\s*raw\b/.test(expression) ? '&' : 'name', name, offset]);
+                }
+                continue;
+            }
+
+            var statement = match[2].trim(),
+                tag = statement.split(/[\s(]/)[0];
+
+            switch(true) {
+                case (tag === 'for'):
+                    var loop = /^for\s+(\w+)(?:\s*,\s*(\w+))?\s+in\s+([\s\S]+)$/.exec(statement);
+                    if(!loop) {
+                        throw syntaxError('Invalid for loop', offset);
+                    }
+
+                    name = $this.getPathName(loop[3], frame.aliases);
+                    token = (name === null || name === '.') ? null : ['each', name, offset, offset, []];
+                    // `for key, value in map` makes both loop variables refer to the loop item
+                    open('for', 'endfor', token, frame.aliases.concat(loop[2] ? [loop[1], loop[2]] : [loop[1]]), offset);
+                    break;
+
+                case (tag === 'if'):
+                    name = $this.getPathName(statement.substr(2), frame.aliases);
+                    token = (name === null || name === '.') ? null : ['if', name, offset, offset, []];
+                    open('if', 'endif', token, frame.aliases, offset);
+                    break;
+
+                case (tag === 'else' && frame.tag === 'for'):
+                    frame.elseStart = frame.tokens.length;
+                    break;
+
+                case (tag === 'elseif'):
+                    name = $this.getPathName(statement.substr(6), frame.aliases);
+                    if(name !== null && name !== '.') {
+                        frame.tokens.push(['if', name, offset, offset, []]);
+                    }
+                    break;
+
+                case (tag === 'include' || tag === 'extends'):
+                    token = $this.getIncludeToken(statement, offset);
+                    if(token !== null) {
+                        frame.tokens.push(token);
+                    }
+                    break;
+
+                case (tag === 'embed'):
+                    token = $this.getIncludeToken(statement, offset);
+                    if(token !== null) {
+                        frame.tokens.push(token);
+                    }
+                    open(tag, scopeTags[tag], null, frame.aliases, offset);
+                    break;
+
+                case (scopeTags.hasOwnProperty(tag)):
+                    // blocks with a name only like {% block content %} have a body, {% block title "x" %} has not
+                    if(tag !== 'block' || /^block\s+\w+\s*$/.test(statement)) {
+                        open(tag, scopeTags[tag], null, frame.aliases, offset);
+                    }
+                    break;
+
+                case (tag === 'set' && statement.indexOf('=') === -1):
+                    open(tag, 'endset', null, frame.aliases, offset);
+                    break;
+
+                case (skippedTags.hasOwnProperty(tag)):
+                    var endRegex = new RegExp('\\{%-?\\s*' + skippedTags[tag] + '\\s*-?%\\}', 'g');
+                    endRegex.lastIndex = regex.lastIndex;
+                    if(endRegex.exec(content) === null) {
+                        throw syntaxError('Unclosed tag `' + tag + '`', offset);
+                    }
+                    regex.lastIndex = endRegex.lastIndex;
+                    break;
+
+                case (tag.substr(0, 3) === 'end' && !isKnownEndTag(tag)):
+                    $this.emit('diagnostic', new Diagnostic(severities.WARNING, 'template-syntax',
+                        'Unknown end tag `' + tag + '` is ignored.', $this.getLocation(offset)));
+                    break;
+
+                case (tag.substr(0, 3) === 'end'):
+                    close(tag, offset);
+                    break;
+            }
+        }
+
+        if(stack.length > 1) {
+            throw syntaxError('Unclosed tag `' + current().tag + '`', current().offset);
+        }
+
+        return root.tokens;
+    };
+
+    // expose twig parser as public API
+    module.exports = {
+        TwigParser: TwigParser
+    };
+})(module);
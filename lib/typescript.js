@@ -0,0 +1,202 @@
+/**
+ * @module patternlab2domain
+ * @author Moritz Spindelhirn [m.spindelhirn@cashiers-check.de]
+ * @namespace TypeScript
+ */
+(function(module) {
+    'use strict';
+
+    var extend = require('extend'),
+        util = require('util'),
+        path = require('path'),
+        Writer = require('./writer').Writer,
+        fieldTypes = require('./parser').fieldTypes,
+        sampleTypes = require('./data').sampleTypes,
+        toInterfaceName = require('./naming').toPascalCase;
+
+    /**
+     * TypeScript writer default options
+     *
+     * @memberOf TypeScript
+     *
+     * @type {{outFile: string}}
+     */
+    var typeScriptWriterDefaultOptions = {
+
+        outFile: path.join('out', 'model.d.ts')
+    };
+
+    /**
+     * Quote a property key if it is not a valid identifier.
+     *
+     * @memberOf TypeScript
+     * @function toPropertyKey
+     * @private
+     *
+     * @param {string} name
+     *
+     * @returns {string}
+     */
+    function toPropertyKey(name) {
+        return /^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(name) ? name : JSON.stringify(name);
+    }
+
+    /**
+     * Writer for TypeScript declarations of the domain model.
+     * Every element becomes an interface, fields become typed properties and relations reference the interface of the
+     * included element.
+     *
+     * @memberOf TypeScript
+     * @namespace TypeScript.TypeScriptWriter
+     *
+     * @param {{}} options
+     * @constructor
+     */
+    function TypeScriptWriter(options) {
+        Writer.call(this, extend({}, typeScriptWriterDefaultOptions, options));
+
+        /**
+         * Indentation of one level
+         *
+         * @memberOf TypeScript.TypeScriptWriter
+         * @name indent
+         *
+         * @type {string}
+         */
+        this.indent = new Array((this.options.pretty || 4) + 1).join(' ');
+
+        /**
+         * Get the type of a field.
+         *
+         * @memberOf TypeScript.TypeScriptWriter
+         * @function fieldToType
+         * @private
+         *
+         * @param {Parser.Field} field
+         * @param {string} indent Indentation of the property
+         *
+         * @returns {string}
+         */
+        this.fieldToType = function(field, indent) {
+            var type;
+
+            switch(field.options.type) {
+                case fieldTypes.BOOLEAN:
+                    type = 'boolean';
+                    break;
+
+                case fieldTypes.LIST:
+                    return 'Array<' + this.containerToType(field, indent) + '>';
+
+                case fieldTypes.OBJECT:
+                    type = this.containerToType(field, indent);
+                    break;
+
+                default:
+                    type = (field.sample && field.sample.type === sampleTypes.NUMBER) ? 'string | number' : 'string';
+                    break;
+            }
+
+            // iterable fields of other types than list are arrays of the type
+            if(field.options.iterable) {
+                return (type.indexOf('|') !== -1 || type.indexOf('{') !== -1) ? 'Array<' + type + '>' : type + '[]';
+            }
+
+            return type;
+        };
+
+        /**
+         * Get the property lines of an element or section.
+         * Names used more than once in a template are declared only once.
+         *
+         * @memberOf TypeScript.TypeScriptWriter
+         * @function containerToProperties
+         * @private
+         *
+         * @param {Builder.CrNode|Parser.Field} container
+         * @param {string} indent Indentation of the properties
+         *
+         * @returns {string[]}
+         */
+        this.containerToProperties = function(container, indent) {
+            var $this = this,
+                lines = [],
+                declared = {};
+
+            container.fields.forEach(function(field) {
+                if(declared[field.name]) {
+                    return;
+                }
+                declared[field.name] = true;
+
+                if(field.sample && field.sample.value !== undefined) {
+                    lines.push(indent + '/** @example ' + JSON.stringify(field.sample.value).replace(/\*\//g, '*\\/') + ' */');
+                }
+                lines.push(indent + toPropertyKey(field.name) + ': ' + $this.fieldToType(field, indent) + ';');
+            });
+
+            container.relations.forEach(function(include) {
+                var name = (include.options && include.options.name) || include.name;
+                if(declared[name]) {
+                    return;
+                }
+                declared[name] = true;
+
+                lines.push(indent + toPropertyKey(name) + ': ' + toInterfaceName(include.name) + ';');
+            });
+
+            return lines;
+        };
+
+        /**
+         * Get the inline object type of a section.
+         *
+         * @memberOf TypeScript.TypeScriptWriter
+         * @function containerToType
+         * @private
+         *
+         * @param {Parser.Field} container
+         * @param {string} indent Indentation of the enclosing property
+         *
+         * @returns {string}
+         */
+        this.containerToType = function(container, indent) {
+            var lines = this.containerToProperties(container, indent + this.indent);
+
+            if(lines.length === 0) {
+                return '{}';
+            }
+
+            return '{\n' + lines.join('\n') + '\n' + indent + '}';
+        };
+    }
+    util.inherits(TypeScriptWriter, Writer);
+
+    /**
+     * Serialize the domain model as TypeScript declarations.
+     *
+     * @memberOf TypeScript.TypeScriptWriter
+     * @function serialize
+     *
+     * @param {{schemaVersion: number, elements: {}[]}} model
+     *
+     * @returns {string}
+     */
+    TypeScriptWriter.prototype.serialize = function(model) {
+        var $this = this;
+
+        return model.elements.map(function(crNode) {
+            return [
+                '/**',
+                ' * Domain model element `' + crNode.id + '`',
+                ' */',
+                'export interface ' + toInterfaceName(crNode.id) + ' {'
+            ].concat($this.containerToProperties(crNode, $this.indent), ['}']).join('\n');
+        }).join('\n\n') + '\n';
+    };
+
+    // expose TypeScript writer as public API
+    module.exports = {
+        TypeScriptWriter: TypeScriptWriter
+    };
+})(module);
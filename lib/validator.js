@@ -0,0 +1,326 @@
+/**
+ * @module patternlab2domain
+ * @author Moritz Spindelhirn [m.spindelhirn@cashiers-check.de]
+ * @namespace Validator
+ */
+(function(module) {
+    'use strict';
+
+    var extend = require('extend'),
+        Q = require('q'),
+        Data = require('./data'),
+        fieldTypes = require('./parser').fieldTypes,
+        Diagnostics = require('./diagnostics').Diagnostics;
+
+    /**
+     * Get the fields of an element or section together with the fields of the included patterns.
+     * Included patterns render with the data of the including template, so their fields use the same data.
+     *
+     * @memberOf Validator
+     * @function expandFields
+     * @private
+     *
+     * @param {Builder.CrNode|Parser.Field} container
+     * @param {Builder.NodeStorage} handler
+     * @param {Object.<string, boolean>} [visiting] Ids of the included patterns on the current path
+     *
+     * @returns {Parser.Field[]}
+     */
+    function expandFields(container, handler, visiting) {
+        var fields = container.fields.slice();
+        visiting = visiting || {};
+
+        container.relations.forEach(function(include) {
+            var crNode = handler.getNodeById(include.name);
+            if(crNode === null || include.recursive || visiting[include.name]) {
+                return;
+            }
+
+            visiting[include.name] = true;
+            fields = fields.concat(expandFields(crNode, handler, visiting));
+            delete visiting[include.name];
+        });
+
+        return fields;
+    }
+
+    /**
+     * Collect the first part of all field names used in the fields and their sections.
+     *
+     * @memberOf Validator
+     * @function collectNames
+     * @private
+     *
+     * @param {Parser.Field[]} fields
+     * @param {Builder.NodeStorage} handler
+     * @param {Object.<string, boolean>} [names]
+     *
+     * @returns {Object.<string, boolean>}
+     */
+    function collectNames(fields, handler, names) {
+        names = names || {};
+
+        fields.forEach(function(field) {
+            names[field.name.split('.')[0]] = true;
+            collectNames(expandFields(field, handler), handler, names);
+        });
+
+        return names;
+    }
+
+    /**
+     * Describe the kind of a data value for messages.
+     *
+     * @memberOf Validator
+     * @function describeValue
+     * @private
+     *
+     * @param {*} value
+     *
+     * @returns {string}
+     */
+    function describeValue(value) {
+        if(Array.isArray(value)) {
+            return 'a list';
+        }
+
+        return value === null ? 'null' : (typeof value === 'object' ? 'an object' : 'a ' + typeof value);
+    }
+
+    /**
+     * Check if a data value matches the iterable flag and type of a field.
+     * Sections are typed as `list` by the parser, so an object is accepted as their context unless the type is given
+     * by meta information.
+     *
+     * @memberOf Validator
+     * @function checkValue
+     * @private
+     *
+     * @param {Parser.Field} field
+     * @param {*} value
+     *
+     * @returns {string|null} Description of the mismatch
+     */
+    function checkValue(field, value) {
+        if(field.options.type === fieldTypes.BOOLEAN || value === null || value === false) {
+            return null;
+        }
+
+        if(field.options.iterable && !Array.isArray(value)) {
+            if(field.typeInferred && typeof value === 'object') {
+                return null;
+            }
+            return 'expects a list but is ' + describeValue(value);
+        }
+
+        if(!field.options.iterable && Array.isArray(value)) {
+            return 'expects a single value but is a list';
+        }
+
+        if((field.options.type === fieldTypes.TEXT || field.options.type === fieldTypes.HTML) && typeof value === 'object') {
+            return 'expects a scalar value but is ' + describeValue(value);
+        }
+
+        return null;
+    }
+
+    /**
+     * Validates the patternlab data files against the fields of the domain model.
+     *
+     * @memberOf Validator
+     * @namespace Validator.DataValidator
+     *
+     * @param {Conductor.Conductor} conductor Conductor which has built the model
+     * @constructor
+     */
+    function DataValidator(conductor) {
+
+        /**
+         * @memberOf Validator.DataValidator
+         * @name conductor
+         *
+         * @type {Conductor.Conductor}
+         */
+        this.conductor = conductor;
+
+        /**
+         * Problems found in the data files
+         *
+         * @memberOf Validator.DataValidator
+         * @name diagnostics
+         *
+         * @type {Diagnostics.Diagnostics}
+         */
+        this.diagnostics = new Diagnostics();
+
+        /**
+         * Check the data for missing fields and iterable/scalar mismatches.
+         * Nested fields are checked for every item of a list.
+         *
+         * @memberOf Validator.DataValidator
+         * @function checkFields
+         * @private
+         *
+         * @param {Parser.Field[]} fields
+         * @param {Array} contextStack
+         * @param {string} jsonPath Path of the current context
+         * @param {string} file
+         */
+        this.checkFields = function(fields, contextStack, jsonPath, file) {
+            var $this = this,
+                checked = {};
+
+            fields.forEach(function(field) {
+                if(checked[field.name]) {
+                    return;
+                }
+                checked[field.name] = true;
+
+                var result = Data.lookup(contextStack, field.name),
+                    fieldPath = jsonPath + '.' + field.name;
+
+                if(!result.found) {
+                    if(field.options.type !== fieldTypes.BOOLEAN) {
+                        $this.diagnostics.error('missing-data', 'Missing field `' + fieldPath + '`.', { file: file });
+                    }
+                    return;
+                }
+
+                var mismatch = checkValue(field, result.value);
+                if(mismatch !== null) {
+                    $this.diagnostics.error('data-type-mismatch', 'Field `' + fieldPath + '` ' + mismatch + '.', { file: file });
+                    return;
+                }
+
+                var nestedFields = expandFields(field, $this.conductor.handler);
+                if(nestedFields.length === 0) {
+                    return;
+                }
+
+                if(Array.isArray(result.value)) {
+                    result.value.forEach(function(item, index) {
+                        $this.checkFields(nestedFields, contextStack.concat([item]), fieldPath + '[' + index + ']', file);
+                    });
+                } else if(result.value !== null && typeof result.value === 'object') {
+                    $this.checkFields(nestedFields, contextStack.concat([result.value]), fieldPath, file);
+                }
+            });
+        };
+
+        /**
+         * Report keys of the data which are not used by any field.
+         *
+         * @memberOf Validator.DataValidator
+         * @function checkUnused
+         * @private
+         *
+         * @param {*} data
+         * @param {Parser.Field[]} fields
+         * @param {string} jsonPath
+         * @param {string} file
+         */
+        this.checkUnused = function(data, fields, jsonPath, file) {
+            var $this = this;
+
+            if(Array.isArray(data)) {
+                data.forEach(function(item, index) {
+                    $this.checkUnused(item, fields, jsonPath + '[' + index + ']', file);
+                });
+                return;
+            }
+
+            if(data === null || typeof data !== 'object') {
+                return;
+            }
+
+            // names of nested fields fall back to the outer contexts, so a key is used by a field on any level
+            var names = collectNames(fields, $this.conductor.handler);
+
+            Object.keys(data).forEach(function(key) {
+                if(!names[key]) {
+                    $this.diagnostics.warning('unused-data', 'Key `' + jsonPath + '.' + key + '` is not used by the template.', { file: file });
+                    return;
+                }
+
+                fields.forEach(function(field) {
+                    if(field.name === key) {
+                        $this.checkUnused(data[key], expandFields(field, $this.conductor.handler), jsonPath + '.' + key, file);
+                    }
+                });
+            });
+        };
+
+        /**
+         * Validate a data file of a node.
+         *
+         * @memberOf Validator.DataValidator
+         * @function validateFile
+         * @private
+         *
+         * @param {Builder.CrNode} crNode
+         * @param {string} file
+         * @param {{}} baseData Global data merged with the data of the pattern for pseudo-patterns
+         *
+         * @returns {Promise} Resolved with the data of the file
+         */
+        this.validateFile = function(crNode, file, baseData) {
+            var $this = this,
+                deferred = Q.defer();
+
+            Data.readDataFile(file, function(err, data) {
+                // invalid data files are already reported while building the model
+                if(!err) {
+                    var fields = expandFields(crNode, $this.conductor.handler);
+                    $this.checkFields(fields, [extend(true, {}, baseData, data)], '$', file);
+                    $this.checkUnused(data, fields, '$', file);
+                }
+
+                deferred.resolve(data);
+            });
+
+            return deferred.promise;
+        };
+    }
+
+    /**
+     * Validate the global data file and the data files of all patterns and pseudo-patterns.
+     * Unused keys of the global data are keys not used by any template.
+     *
+     * @memberOf Validator.DataValidator
+     * @function validate
+     *
+     * @returns {Promise} Resolved with the {@link Diagnostics.Diagnostics diagnostics}
+     */
+    DataValidator.prototype.validate = function() {
+        var $this = this,
+            conductor = this.conductor,
+            storage = conductor.handler.storage,
+            globalFile = conductor.getGlobalDataFile(),
+            allFields = [];
+
+        Object.keys(storage).forEach(function(id) {
+            allFields = allFields.concat(storage[id].fields);
+        });
+        $this.checkUnused(conductor.globalData, allFields, '$', globalFile);
+
+        return Q.all(Object.keys(storage).sort().map(function(id) {
+            var crNode = storage[id],
+                variantFiles = conductor.variantFiles[id] || {},
+                // patterns without data file render with the data of the including template
+                base = conductor.dataFiles[id] ? $this.validateFile(crNode, conductor.dataFiles[id], conductor.globalData) : Q({});
+
+            return base.then(function(data) {
+                return Q.all(Object.keys(variantFiles).sort().map(function(variantName) {
+                    return $this.validateFile(crNode, variantFiles[variantName], extend(true, {}, conductor.globalData, data));
+                }));
+            });
+        })).then(function() {
+            return $this.diagnostics;
+        });
+    };
+
+    // expose validator as public API
+    module.exports = {
+        DataValidator: DataValidator
+    };
+})(module);
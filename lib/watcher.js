@@ -0,0 +1,247 @@
+/**
+ * @module patternlab2domain
+ * @author Moritz Spindelhirn [m.spindelhirn@cashiers-check.de]
+ * @namespace Watcher
+ */
+(function(module) {
+    'use strict';
+
+    var extend = require('extend'),
+        util = require('util'),
+        events = require('events'),
+        fs = require('fs'),
+        path = require('path');
+
+    /**
+     * Watcher default options
+     *
+     * @memberOf Watcher
+     *
+     * @type {{delay: number}}
+     */
+    var watcherDefaultOptions = {
+
+        /**
+         * Milliseconds to wait for further events of the same file before reporting it.
+         * Editors often write a file in multiple steps.
+         */
+        delay: 100
+    };
+
+    /**
+     * Recursive file watcher for directory trees.
+     * New directories are watched automatically.
+     *
+     * @fires Watcher.Watcher#change
+     * @fires Watcher.Watcher#remove
+     * @fires Watcher.Watcher#error
+     *
+     * @memberOf Watcher
+     * @namespace Watcher.Watcher
+     *
+     * @constructor
+     * @param {string[]} dirs Directories to watch
+     * @param {{}} [options]
+     */
+    function Watcher(dirs, options) {
+        events.EventEmitter.call(this);
+
+        /**
+         * Root directories
+         *
+         * @name dirs
+         * @memberOf Watcher.Watcher
+         *
+         * @type {string[]}
+         */
+        this.dirs = dirs;
+
+        /**
+         * Watcher options
+         *
+         * @name options
+         * @memberOf Watcher.Watcher
+         *
+         * @type {{}}
+         */
+        this.options = extend({}, watcherDefaultOptions, options);
+
+        /**
+         * Map of watched directories to their fs watcher
+         *
+         * @name watchers
+         * @memberOf Watcher.Watcher
+         *
+         * @type {Object.<string, fs.FSWatcher>}
+         */
+        this.watchers = {};
+
+        /**
+         * Pending timers per file
+         *
+         * @name timers
+         * @memberOf Watcher.Watcher
+         *
+         * @type {{}}
+         */
+        this.timers = {};
+
+        /**
+         * Watch a directory and all its sub directories.
+         *
+         * @function watchDir
+         * @memberOf Watcher.Watcher
+         * @private
+         *
+         * @param {string} dir
+         * @param {boolean} [reportFiles] Emit a change for every file found, used for directories added later
+         */
+        this.watchDir = function(dir, reportFiles) {
+            var $this = this;
+
+            if($this.watchers[dir]) {
+                return;
+            }
+
+            try {
+                $this.watchers[dir] = fs.watch(dir, function(event, filename) {
+                    if(filename && filename.substr(0, 1) !== '.') {
+                        $this.schedule(path.join(dir, filename.toString()));
+                    }
+                });
+            } catch (e) {
+                $this.emit('error', e);
+                return;
+            }
+
+            fs.readdir(dir, function(err, files) {
+                if(err) {
+                    return;
+                }
+
+                files.forEach(function(filename) {
+                    if(filename.substr(0, 1) === '.') {
+                        return;
+                    }
+
+                    var file = path.join(dir, filename);
+                    fs.stat(file, function(err, stats) {
+                        if(err) {
+                            return;
+                        }
+
+                        if(stats.isDirectory()) {
+                            $this.watchDir(file, reportFiles);
+                        } else if(reportFiles) {
+                            $this.emit('change', file);
+                        }
+                    });
+                });
+            });
+        };
+
+        /**
+         * Stop watching a directory and all its sub directories.
+         *
+         * @function unwatchDir
+         * @memberOf Watcher.Watcher
+         * @private
+         *
+         * @param {string} dir
+         */
+        this.unwatchDir = function(dir) {
+            var $this = this;
+
+            Object.keys($this.watchers).forEach(function(watchedDir) {
+                if(watchedDir === dir || watchedDir.indexOf(dir + path.sep) === 0) {
+                    $this.watchers[watchedDir].close();
+                    delete $this.watchers[watchedDir];
+                }
+            });
+        };
+
+        /**
+         * Report a file after the delay if no further event arrives.
+         *
+         * @function schedule
+         * @memberOf Watcher.Watcher
+         * @private
+         *
+         * @param {string} file
+         */
+        this.schedule = function(file) {
+            var $this = this;
+
+            clearTimeout($this.timers[file]);
+            $this.timers[file] = setTimeout(function() {
+                delete $this.timers[file];
+                $this.check(file);
+            }, $this.options.delay);
+        };
+
+        /**
+         * Check what happened to a file and emit the matching event.
+         *
+         * @function check
+         * @memberOf Watcher.Watcher
+         * @private
+         *
+         * @param {string} file
+         */
+        this.check = function(file) {
+            var $this = this;
+
+            fs.stat(file, function(err, stats) {
+                if(err) {
+                    if($this.watchers[file]) {
+                        $this.unwatchDir(file);
+                    }
+                    $this.emit('remove', file);
+                } else if(stats.isDirectory()) {
+                    $this.watchDir(file, true);
+                } else {
+                    $this.emit('change', file);
+                }
+            });
+        };
+    }
+    util.inherits(Watcher, events.EventEmitter);
+
+    /**
+     * Start watching all directories.
+     *
+     * @function start
+     * @memberOf Watcher.Watcher
+     */
+    Watcher.prototype.start = function() {
+        var $this = this;
+
+        $this.dirs.forEach(function(dir) {
+            $this.watchDir(dir);
+        });
+    };
+
+    /**
+     * Stop watching.
+     *
+     * @function close
+     * @memberOf Watcher.Watcher
+     */
+    Watcher.prototype.close = function() {
+        var $this = this;
+
+        Object.keys($this.timers).forEach(function(file) {
+            clearTimeout($this.timers[file]);
+        });
+        $this.timers = {};
+
+        Object.keys($this.watchers).forEach(function(dir) {
+            $this.watchers[dir].close();
+        });
+        $this.watchers = {};
+    };
+
+    module.exports = {
+        Watcher: Watcher
+    };
+})(module);
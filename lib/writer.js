@@ -7,20 +7,27 @@
     'use strict';
 
     var extend = require('extend'),
-        fs = require('fs');
+        fs = require('fs'),
+        path = require('path'),
+        createModel = require('./model').createModel;
 
     /**
      * Writer default options
      *
      * @memberOf Writer
      *
-     * @type {{outFile: string, pretty: number}}
+     * @type {{outFile: string, pretty: number, baseDir: string|null}}
      */
     var writerDefaultOptions = {
 
-        outFile: '/home/moritz/node/patternlab2phpcr/out/model.json',
+        outFile: path.join('out', 'model.json'),
 
-        pretty: 4
+        pretty: 4,
+
+        /**
+         * Directory the template paths in the model are relative to, defaults to the working directory
+         */
+        baseDir: null
     };
 
     /**
@@ -55,26 +62,25 @@
         this.model = {
             elements: []
         };
-
-        /**
-         * Add a CrNode to the model.
-         * Checks if the node is an element and not just a simple include.
-         *
-         * @memberOf Writer.Writer
-         * @function addNodeToModel
-         * @private
-         *
-         * @param {Builder.CrNode} crNode
-         */
-        this.addNodeToModel = function(crNode) {
-            if(!crNode.info.hasOwnProperty('isOwnElement') || crNode.info.isOwnElement !== false) {
-                this.model.elements.push(crNode);
-            }
-        }
     }
 
     /**
-     * Convert the node storage to the domain model.
+     * Serialize the domain model to the content of the output file.
+     * Writers for other formats overwrite this method.
+     *
+     * @memberOf Writer.Writer
+     * @function serialize
+     *
+     * @param {{schemaVersion: number, elements: {}[]}} model
+     *
+     * @returns {string}
+     */
+    Writer.prototype.serialize = function(model) {
+        return JSON.stringify(model, null, this.options.pretty);
+    };
+
+    /**
+     * Convert the node storage to the domain model, see {@link Model.createModel}.
      * Then write the model to a file.
      *
      * @memberOf Writer.Writer
@@ -88,20 +94,53 @@
             fn = function() {};
         }
 
-        for(var i in storage) {
-            if(storage.hasOwnProperty(i)) {
-                this.addNodeToModel(storage[i]);
-            }
+        try {
+            this.model = createModel(storage, {
+                baseDir: this.options.baseDir
+            });
+        } catch (e) {
+            fn(e);
+            return;
+        }
+
+        this.writeModel(this.model, fn);
+    };
+
+    /**
+     * Write an already created domain model to a file.
+     * The directory of the output file is created if it does not exist.
+     *
+     * @memberOf Writer.Writer
+     * @function writeModel
+     *
+     * @param {{schemaVersion: number, elements: {}[]}} model
+     * @param {function} fn
+     */
+    Writer.prototype.writeModel = function(model, fn) {
+        if(typeof fn != 'function') {
+            fn = function() {};
         }
 
+        var $this = this,
+            str;
+
         try {
-            var str = JSON.stringify(this.model, null, this.options.pretty);
-            fs.writeFile(this.options.outFile, str, function(err) {
-                fn(err);
-            });
+            str = this.serialize(model);
         } catch (e) {
-            console.log(e);
+            fn(e);
+            return;
         }
+
+        fs.mkdir(path.dirname(this.options.outFile), { recursive: true }, function(err) {
+            if(err) {
+                fn(err);
+                return;
+            }
+
+            fs.writeFile($this.options.outFile, str, function(err) {
+                fn(err);
+            });
+        });
     };
 
     // expose writer as public API
@@ -5,31 +5,6 @@
  * @author Moritz Spindelhirn [m.spindelhirn@cashiers-check.de]
  */
 
-var argv = require('optimist').argv,
-    Conductor = require('./lib/conductor').Conductor,
-    Writer = require('./lib/writer').Writer;
-
-var templateDir = argv.tplBaseDir,
-    templateFile = argv.tplFile,
-    patternDir = argv.patternDir;
-
-var conductor = new Conductor({
-    startDir: templateDir,
-    startFile: templateFile,
-    patternDir: patternDir
-});
-
-conductor.on('error', function(err) {
-    console.error('Error', err);
+require('./lib/cli').run(process.argv.slice(2), function(exitCode) {
+    process.exitCode = exitCode;
 });
-
-conductor.on('end', function() {
-    console.log('start model writing');
-    var writer = new Writer();
-    writer.write(conductor.handler.storage, function() {
-        console.log('model written');
-    });
-});
-
-console.log('start parsing project');
-conductor.start();
\ No newline at end of file